@@ -0,0 +1,50 @@
+// Named permissions checked by requirePermission()
+const PERMISSIONS = [
+  'products:write', // Create, edit and delete products and their images
+  'orders:read', // View every customer's orders
+  'orders:fulfil', // Move orders through fulfilment and record offline payments
+  'orders:refund', // Cancel and refund orders
+  'users:read', // View customer accounts
+  'users:manage', // Change roles, unlock and delete accounts
+  'coupons:write', // Manage discount codes
+  'settings:write', // Manage tax rates and shipping zones
+  'reports:read', // View sales and stock reports
+  'reviews:moderate', // Approve, hide and remove customer reviews
+  'apikeys:manage' // Issue and revoke API keys for integrations
+];
+
+// Built-in roles and what each may do. Customers ('user') have no staff
+// permissions; 'admin' has all of them.
+const ROLE_PERMISSIONS = {
+  user: [],
+  inventory_manager: ['products:write', 'reports:read'],
+  fulfilment: ['orders:read', 'orders:fulfil'],
+  support: ['orders:read', 'orders:refund', 'users:read', 'reviews:moderate'],
+  admin: PERMISSIONS
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Permissions an API key can never hold. Either would let a key give
+// itself (or an account it controls) more access than it was issued with.
+const HUMAN_ONLY_PERMISSIONS = ['users:manage', 'apikeys:manage'];
+
+// Whether a user's role grants a permission. API key principals carry
+// their own permission list instead of a role.
+const hasPermission = (user, permission) => {
+  if (!user) {
+    return false;
+  }
+  if (user.isServiceAccount) {
+    return !HUMAN_ONLY_PERMISSIONS.includes(permission) && (user.permissions || []).includes(permission);
+  }
+  return (ROLE_PERMISSIONS[user.role] || []).includes(permission);
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ROLES,
+  HUMAN_ONLY_PERMISSIONS,
+  hasPermission
+};
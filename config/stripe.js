@@ -0,0 +1,6 @@
+const Stripe = require('stripe');
+
+// Shared Stripe client for checkout, webhooks and refunds
+const stripe = Stripe(process.env.STRIPE_SECRET_KEY);
+
+module.exports = stripe;
@@ -0,0 +1,182 @@
+const User = require('../models/User');
+const HttpError = require('../utils/HttpError');
+const { normalizeAddress } = require('../services/addressService');
+
+// Most addresses one customer can save
+const MAX_ADDRESSES = 20;
+
+// Make one address the default and clear the flag on the rest
+const markDefault = (user, address) => {
+  user.addresses.forEach((entry) => {
+    entry.isDefault = entry._id.equals(address._id);
+  });
+};
+
+// Reply with a 400/404 for HttpErrors, or a 500 with the given message
+const sendError = (res, error, message) => {
+  if (error instanceof HttpError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      details: error.details
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+// @desc    Get saved addresses
+// @route   GET /api/addresses
+// @access  Private
+exports.getAddresses = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      count: user.addresses.length,
+      data: user.addresses
+    });
+  } catch (error) {
+    sendError(res, error, 'Error fetching addresses');
+  }
+};
+
+// @desc    Save a new address
+// @route   POST /api/addresses
+// @access  Private
+exports.createAddress = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.addresses.length >= MAX_ADDRESSES) {
+      return res.status(400).json({
+        success: false,
+        message: `You can save up to ${MAX_ADDRESSES} addresses`
+      });
+    }
+
+    user.addresses.push(normalizeAddress(req.body, { requireLabel: true }));
+    const address = user.addresses[user.addresses.length - 1];
+
+    // The first address saved becomes the default
+    if (req.body.isDefault || user.addresses.length === 1) {
+      markDefault(user, address);
+    }
+
+    await user.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Address saved successfully',
+      data: address
+    });
+  } catch (error) {
+    sendError(res, error, 'Error saving address');
+  }
+};
+
+// @desc    Update a saved address
+// @route   PUT /api/addresses/:id
+// @access  Private
+exports.updateAddress = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const address = user.addresses.id(req.params.id);
+
+    if (!address) {
+      return res.status(404).json({
+        success: false,
+        message: 'Address not found'
+      });
+    }
+
+    // Validate the address as it will look after the update
+    const updated = normalizeAddress({ ...address.toObject(), ...req.body }, { requireLabel: true });
+
+    ['label', 'street', 'city', 'state', 'zipCode', 'country', 'phone', 'deliveryInstructions'].forEach((key) => {
+      address[key] = updated[key];
+    });
+
+    if (req.body.isDefault) {
+      markDefault(user, address);
+    }
+
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Address updated successfully',
+      data: address
+    });
+  } catch (error) {
+    sendError(res, error, 'Error updating address');
+  }
+};
+
+// @desc    Make a saved address the default
+// @route   PUT /api/addresses/:id/default
+// @access  Private
+exports.setDefaultAddress = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const address = user.addresses.id(req.params.id);
+
+    if (!address) {
+      return res.status(404).json({
+        success: false,
+        message: 'Address not found'
+      });
+    }
+
+    markDefault(user, address);
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Default address updated',
+      data: address
+    });
+  } catch (error) {
+    sendError(res, error, 'Error updating default address');
+  }
+};
+
+// @desc    Delete a saved address
+// @route   DELETE /api/addresses/:id
+// @access  Private
+exports.deleteAddress = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const address = user.addresses.id(req.params.id);
+
+    if (!address) {
+      return res.status(404).json({
+        success: false,
+        message: 'Address not found'
+      });
+    }
+
+    const wasDefault = address.isDefault;
+    user.addresses.pull(address._id);
+
+    // Keep a default while any addresses remain
+    if (wasDefault && user.addresses.length > 0) {
+      markDefault(user, user.addresses[0]);
+    }
+
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Address deleted successfully',
+      data: {}
+    });
+  } catch (error) {
+    sendError(res, error, 'Error deleting address');
+  }
+};
@@ -0,0 +1,183 @@
+const ApiKey = require('../models/ApiKey');
+const { PERMISSIONS, HUMAN_ONLY_PERMISSIONS, hasPermission } = require('../config/permissions');
+const { createApiKey } = require('../services/apiKeyService');
+
+// Check the permissions requested for a key. Staff can't hand a key more
+// than they hold themselves, nor account or key management at all.
+// Returns an error message or null.
+const checkPermissions = (permissions, user) => {
+  if (!Array.isArray(permissions) || permissions.length === 0) {
+    return 'Please grant at least one permission';
+  }
+
+  const unknown = permissions.filter((permission) => !PERMISSIONS.includes(permission));
+  if (unknown.length > 0) {
+    return `Unknown permission(s): ${unknown.join(', ')}`;
+  }
+
+  const humanOnly = permissions.filter((permission) => HUMAN_ONLY_PERMISSIONS.includes(permission));
+  if (humanOnly.length > 0) {
+    return `API keys cannot be granted: ${humanOnly.join(', ')}`;
+  }
+
+  const notHeld = permissions.filter((permission) => !hasPermission(user, permission));
+  if (notHeld.length > 0) {
+    return `You cannot grant permission(s) you do not have: ${notHeld.join(', ')}`;
+  }
+
+  return null;
+};
+
+// @desc    Get all API keys
+// @route   GET /api/api-keys
+// @access  Private/Staff
+exports.getApiKeys = async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find()
+      .populate('createdBy', 'name email')
+      .sort('-createdAt');
+
+    res.status(200).json({
+      success: true,
+      count: apiKeys.length,
+      data: apiKeys
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching API keys',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create API key
+// @route   POST /api/api-keys
+// @access  Private/Staff
+exports.createApiKey = async (req, res) => {
+  try {
+    const { name, permissions, allowedIps, expiresAt } = req.body;
+
+    const permissionError = checkPermissions(permissions, req.user);
+    if (permissionError) {
+      return res.status(400).json({
+        success: false,
+        message: permissionError
+      });
+    }
+
+    if (expiresAt && !(new Date(expiresAt) > new Date())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Expiry date must be in the future'
+      });
+    }
+
+    const { key, apiKey } = await createApiKey({
+      name,
+      permissions,
+      allowedIps,
+      expiresAt,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now - it will not be shown again.',
+      data: apiKey,
+      key
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error creating API key',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update API key name, permissions, IPs or expiry
+// @route   PUT /api/api-keys/:id
+// @access  Private/Staff
+exports.updateApiKey = async (req, res) => {
+  try {
+    const fields = {};
+    ['name', 'allowedIps', 'expiresAt'].forEach((key) => {
+      if (req.body[key] !== undefined) {
+        fields[key] = req.body[key];
+      }
+    });
+
+    if (req.body.permissions !== undefined) {
+      const permissionError = checkPermissions(req.body.permissions, req.user);
+      if (permissionError) {
+        return res.status(400).json({
+          success: false,
+          message: permissionError
+        });
+      }
+      fields.permissions = req.body.permissions;
+    }
+
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: req.params.id, revokedAt: null },
+      fields,
+      {
+        new: true,
+        runValidators: true
+      }
+    );
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found or already revoked'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'API key updated successfully',
+      data: apiKey
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error updating API key',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Revoke API key
+// @route   DELETE /api/api-keys/:id
+// @access  Private/Staff
+exports.revokeApiKey = async (req, res) => {
+  try {
+    // Kept rather than deleted, so its usage history stays visible
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: req.params.id, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found or already revoked'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'API key revoked successfully',
+      data: apiKey
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking API key',
+      error: error.message
+    });
+  }
+};
@@ -1,5 +1,59 @@
+const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-const { generateToken } = require('../middleware/auth');
+const Order = require('../models/Order');
+const { sendPasswordResetEmail, sendVerificationEmail } = require('../services/emailService');
+const { createOpaqueToken, hashToken } = require('../utils/tokens');
+const HttpError = require('../utils/HttpError');
+const {
+  startSession,
+  refreshSession,
+  endSession,
+  revokeSession,
+  revokeUserSessions,
+  listActiveSessions
+} = require('../services/sessionService');
+const {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess
+} = require('../services/loginThrottleService');
+const { verifyGoogleIdToken } = require('../services/googleAuthService');
+
+// How long a password reset link stays valid
+const RESET_TOKEN_TTL_MINUTES = 60;
+
+// How long an email verification link stays valid
+const VERIFICATION_TOKEN_TTL_HOURS = 24;
+
+// Minimum gap between verification emails for one account
+const VERIFICATION_RESEND_SECONDS = 60;
+
+// Audience claim that keeps verification links from being used as logins
+const VERIFICATION_AUDIENCE = 'email-verification';
+
+// Sign a link token tied to the user's current email, so changing the
+// email invalidates older links
+const createVerificationToken = (user) => jwt.sign(
+  { userId: user._id.toString(), email: user.email },
+  process.env.JWT_SECRET,
+  { audience: VERIFICATION_AUDIENCE, expiresIn: `${VERIFICATION_TOKEN_TTL_HOURS}h` }
+);
+
+// Email a fresh verification link and note when it was sent
+const sendVerification = async (user) => {
+  const verifyUrl = `${process.env.FRONTEND_URL}/verify-email?token=${createVerificationToken(user)}`;
+
+  user.verificationSentAt = new Date();
+  await user.save();
+
+  await sendVerificationEmail(user, verifyUrl, VERIFICATION_TOKEN_TTL_HOURS);
+};
+
+// Attach orders placed as a guest once we know the email is theirs
+const linkGuestOrders = (user) => Order.updateMany(
+  { user: null, 'guest.email': user.email },
+  { $set: { user: user._id } }
+);
 
 // @desc    Register new user
 // @route   POST /api/auth/signup
@@ -27,8 +81,15 @@ exports.signup = async (req, res) => {
       address
     });
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Confirm the email belongs to them; signup succeeds even if this fails
+    try {
+      await sendVerification(user);
+    } catch (emailError) {
+      console.error('Error sending verification email:', emailError);
+    }
+
+    // Start a session for this device
+    const { token, refreshToken } = await startSession(user, req);
 
     res.status(201).json({
       success: true,
@@ -38,7 +99,9 @@ exports.signup = async (req, res) => {
         name: user.name,
         email: user.email,
         role: user.role,
-        token
+        emailVerified: user.emailVerified,
+        token,
+        refreshToken
       }
     });
   } catch (error) {
@@ -65,20 +128,18 @@ exports.login = async (req, res) => {
       });
     }
 
+    // Refuse early while the account or IP is locked out or cooling down
+    await checkLoginAllowed(email, req.ip);
+
     // Find user and include password field
     const user = await User.findOne({ email }).select('+password');
 
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid email or password'
-      });
-    }
-
     // Check if password matches
-    const isMatch = await user.comparePassword(password);
+    const isMatch = user ? await user.comparePassword(password) : false;
 
     if (!isMatch) {
+      await recordLoginFailure({ email, ip: req.ip, user });
+
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
@@ -93,8 +154,10 @@ exports.login = async (req, res) => {
       });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    await recordLoginSuccess(email);
+
+    // Start a session for this device
+    const { token, refreshToken } = await startSession(user, req);
 
     res.status(200).json({
       success: true,
@@ -104,10 +167,23 @@ exports.login = async (req, res) => {
         name: user.name,
         email: user.email,
         role: user.role,
-        token
+        emailVerified: user.emailVerified,
+        token,
+        refreshToken
       }
     });
   } catch (error) {
+    if (error instanceof HttpError) {
+      if (error.details && error.details.retryAfter) {
+        res.set('Retry-After', String(error.details.retryAfter));
+      }
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        details: error.details
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Error logging in',
@@ -171,4 +247,393 @@ exports.updateProfile = async (req, res) => {
       error: error.message
     });
   }
-};
\ No newline at end of file
+};
+
+// @desc    Email a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+exports.forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide an email'
+      });
+    }
+
+    const user = await User.findOne({ email: String(email).trim().toLowerCase() });
+
+    if (user && user.isActive) {
+      const { token, hash } = createOpaqueToken();
+
+      user.passwordResetTokenHash = hash;
+      user.passwordResetExpires = new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000);
+      await user.save();
+
+      const resetUrl = `${process.env.FRONTEND_URL}/reset-password?token=${token}`;
+
+      // Not awaited, so the response time doesn't reveal whether the email exists
+      sendPasswordResetEmail(user, resetUrl, RESET_TOKEN_TTL_MINUTES).catch((emailError) => {
+        console.error('Error sending password reset email:', emailError);
+      });
+    }
+
+    // Same answer whether or not the account exists
+    res.status(200).json({
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error requesting password reset',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Set a new password with a reset token
+// @route   POST /api/auth/reset-password
+// @access  Public
+exports.resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the reset token and a new password'
+      });
+    }
+
+    const user = await User.findOne({
+      passwordResetTokenHash: hashToken(token),
+      passwordResetExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset link is invalid or has expired'
+      });
+    }
+
+    // Single use - the token is gone once the password changes, and
+    // every token issued before now stops working
+    user.password = password;
+    user.passwordResetTokenHash = undefined;
+    user.passwordResetExpires = undefined;
+    user.passwordChangedAt = new Date();
+    await user.save();
+
+    // Sign out every device, in case the old password was compromised
+    await revokeUserSessions(user._id, 'password_reset');
+
+    res.status(200).json({
+      success: true,
+      message: 'Password has been reset. Please login with your new password.'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error resetting password',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Confirm email address from a verification link
+// @route   POST /api/auth/verify-email
+// @access  Public
+exports.verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification token required'
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET, { audience: VERIFICATION_AUDIENCE });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    const user = await User.findById(decoded.userId);
+
+    // The link only counts for the email it was sent to
+    if (!user || user.email !== decoded.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+
+      await linkGuestOrders(user);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying email',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Send a new verification email
+// @route   POST /api/auth/resend-verification
+// @access  Private
+exports.resendVerification = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    const nextAllowed = user.verificationSentAt
+      ? user.verificationSentAt.getTime() + VERIFICATION_RESEND_SECONDS * 1000
+      : 0;
+
+    if (Date.now() < nextAllowed) {
+      return res.status(429).json({
+        success: false,
+        message: 'Please wait a minute before requesting another email'
+      });
+    }
+
+    await sendVerification(user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error sending verification email',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Exchange a refresh token for a new access and refresh token
+// @route   POST /api/auth/refresh
+// @access  Public
+exports.refreshToken = async (req, res) => {
+  try {
+    const { token, refreshToken } = await refreshSession(req.body.refreshToken, req);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        token,
+        refreshToken
+      }
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error refreshing session',
+      error: error.message
+    });
+  }
+};
+
+// @desc    End the session a refresh token belongs to
+// @route   POST /api/auth/logout
+// @access  Public
+exports.logout = async (req, res) => {
+  try {
+    await endSession(req.body.refreshToken);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error logging out',
+      error: error.message
+    });
+  }
+};
+
+// @desc    List the current user's active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map((session) => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.toString() === req.sessionId
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching sessions',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Revoke one of the current user's sessions
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+exports.deleteSession = async (req, res) => {
+  try {
+    const session = await revokeSession(req.user.id, req.params.id);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully',
+      data: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking session',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Sign in (or sign up) with a Google ID token
+// @route   POST /api/auth/google
+// @access  Public
+exports.googleLogin = async (req, res) => {
+  try {
+    // Google Identity Services posts the ID token as `credential`
+    const idToken = req.body.idToken || req.body.credential;
+
+    if (!idToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Google ID token required'
+      });
+    }
+
+    const identity = await verifyGoogleIdToken(idToken);
+
+    let user = await User.findOne({ googleId: identity.googleId });
+    let isNewUser = false;
+
+    if (!user) {
+      user = await User.findOne({ email: identity.email });
+
+      if (user) {
+        // Google has verified the email, so it is safe to link the accounts
+        user.googleId = identity.googleId;
+
+        // Nobody ever proved they owned this email, so whoever set the
+        // password may not be the owner. Drop it and sign them out.
+        if (!user.emailVerified) {
+          user.password = undefined;
+          await revokeUserSessions(user._id);
+        }
+      } else {
+        user = new User({
+          name: identity.name,
+          email: identity.email,
+          googleId: identity.googleId
+        });
+        isNewUser = true;
+      }
+    }
+
+    if (!user.isActive) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your account has been deactivated'
+      });
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+
+    if (user.isModified()) {
+      await user.save();
+      await linkGuestOrders(user);
+    }
+
+    // Start a session for this device
+    const { token, refreshToken } = await startSession(user, req);
+
+    res.status(isNewUser ? 201 : 200).json({
+      success: true,
+      message: isNewUser ? 'User registered successfully' : 'Login successful',
+      data: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        emailVerified: user.emailVerified,
+        token,
+        refreshToken
+      }
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error signing in with Google',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,208 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const { getOrCreateCart, revalidateCart } = require('../services/cartService');
+
+// Find a cart line by its own id, or by product id (plus `variant` in the
+// query string when the product is in the cart in more than one variant)
+const findCartItem = (cart, id, variantId) => cart.items.find((entry) =>
+  entry._id.toString() === id
+  || (entry.product.toString() === id && (!variantId || String(entry.variant) === variantId))
+);
+
+// Send the cart back freshly checked against the catalog
+const sendCart = async (res, cart, message, status = 200) => {
+  const summary = await revalidateCart(cart);
+
+  res.status(status).json({
+    success: true,
+    message,
+    data: summary
+  });
+};
+
+// @desc    Get current user's cart
+// @route   GET /api/cart
+// @access  Private
+exports.getCart = async (req, res) => {
+  try {
+    const cart = await getOrCreateCart(req.user.id);
+    await sendCart(res, cart);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching cart',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Add product to cart
+// @route   POST /api/cart/items
+// @access  Private
+exports.addToCart = async (req, res) => {
+  try {
+    const productId = req.body.productId || req.body.product;
+    const variantId = req.body.variantId || req.body.variant;
+    const quantity = req.body.quantity === undefined ? 1 : Number(req.body.quantity);
+
+    if (!productId || !mongoose.isValidObjectId(productId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid product id'
+      });
+    }
+
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Quantity must be at least 1'
+      });
+    }
+
+    const product = await Product.findById(productId);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    // Products with variants go in the cart as a specific variant
+    const variant = product.resolveVariant(variantId);
+
+    if (variant === undefined) {
+      return res.status(404).json({
+        success: false,
+        message: 'Variant not found'
+      });
+    }
+
+    const details = product.purchaseDetails(variant);
+    const cart = await getOrCreateCart(req.user.id);
+    const existing = cart.items.find((item) =>
+      item.product.toString() === productId.toString() && String(item.variant) === String(details.variant)
+    );
+    const newQuantity = (existing ? existing.quantity : 0) + quantity;
+
+    if (!details.available || details.stock < newQuantity) {
+      return res.status(400).json({
+        success: false,
+        message: `Not enough stock for ${details.name}. Only ${details.stock} available`
+      });
+    }
+
+    if (existing) {
+      existing.quantity = newQuantity;
+    } else {
+      cart.items.push({ product: product._id, variant: details.variant, quantity, price: details.price });
+    }
+
+    await cart.save();
+    await sendCart(res, cart, 'Item added to cart');
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error adding item to cart',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update quantity of a cart item
+// @route   PUT /api/cart/items/:itemId
+// @access  Private
+exports.updateCartItem = async (req, res) => {
+  try {
+    const quantity = Number(req.body.quantity);
+
+    if (!Number.isInteger(quantity) || quantity < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Quantity must be 0 or more'
+      });
+    }
+
+    const cart = await getOrCreateCart(req.user.id);
+    const item = findCartItem(cart, req.params.itemId, req.query.variant);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not in cart'
+      });
+    }
+
+    // Setting quantity to 0 removes the line
+    if (quantity === 0) {
+      cart.items.pull(item._id);
+    } else {
+      const product = await Product.findById(item.product);
+      const variant = product && product.resolveVariant(item.variant);
+      const details = product && variant !== undefined ? product.purchaseDetails(variant) : null;
+
+      if (details && details.stock < quantity) {
+        return res.status(400).json({
+          success: false,
+          message: `Not enough stock for ${details.name}. Only ${details.stock} available`
+        });
+      }
+
+      item.quantity = quantity;
+    }
+
+    await cart.save();
+    await sendCart(res, cart, 'Cart updated');
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error updating cart',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Remove item from cart
+// @route   DELETE /api/cart/items/:itemId
+// @access  Private
+exports.removeCartItem = async (req, res) => {
+  try {
+    const cart = await getOrCreateCart(req.user.id);
+    const item = findCartItem(cart, req.params.itemId, req.query.variant);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not in cart'
+      });
+    }
+
+    cart.items.pull(item._id);
+    await cart.save();
+    await sendCart(res, cart, 'Item removed from cart');
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error removing item from cart',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Remove all items from cart
+// @route   DELETE /api/cart
+// @access  Private
+exports.clearCart = async (req, res) => {
+  try {
+    const cart = await getOrCreateCart(req.user.id);
+    cart.items = [];
+    await cart.save();
+    await sendCart(res, cart, 'Cart cleared');
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error clearing cart',
+      error: error.message
+    });
+  }
+};
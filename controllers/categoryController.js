@@ -0,0 +1,192 @@
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+const HttpError = require('../utils/HttpError');
+const {
+  slugify,
+  getCategoryTree,
+  assertValidParent,
+  slugReferences,
+  syncCategoriesFromProducts
+} = require('../services/categoryService');
+
+// Fields staff may set on a category
+const CATEGORY_FIELDS = ['slug', 'name', 'description', 'image', 'sortOrder', 'parent'];
+
+const pickCategoryFields = (body) => CATEGORY_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) {
+    fields[key] = body[key];
+  }
+  return fields;
+}, {});
+
+// Reply with the HttpError's status, or a 500 with the given message
+const sendError = (res, error, message) => {
+  if (error instanceof HttpError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      message: 'A category with this slug already exists'
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+// @desc    Get categories as a tree with product counts
+// @route   GET /api/categories
+// @access  Public
+exports.getCategories = async (req, res) => {
+  try {
+    const tree = await getCategoryTree();
+
+    res.status(200).json({
+      success: true,
+      count: tree.length,
+      data: tree
+    });
+  } catch (error) {
+    sendError(res, error, 'Error fetching categories');
+  }
+};
+
+// @desc    Create category
+// @route   POST /api/categories
+// @access  Private/Staff
+exports.createCategory = async (req, res) => {
+  try {
+    const fields = pickCategoryFields(req.body);
+    fields.slug = fields.slug || slugify(fields.name);
+
+    await assertValidParent(null, fields.parent);
+
+    const category = await Category.create(fields);
+
+    res.status(201).json({
+      success: true,
+      message: 'Category created successfully',
+      data: category
+    });
+  } catch (error) {
+    sendError(res, error, 'Error creating category');
+  }
+};
+
+// @desc    Update category
+// @route   PUT /api/categories/:id
+// @access  Private/Staff
+exports.updateCategory = async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id);
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    const fields = pickCategoryFields(req.body);
+
+    // Products, coupons and tax settings refer to the slug
+    if (fields.slug !== undefined && fields.slug !== category.slug) {
+      const usedBy = await slugReferences(category.slug);
+      if (usedBy.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: `The slug cannot change while ${usedBy.join(', ')} use this category`
+        });
+      }
+    }
+
+    if (fields.parent !== undefined) {
+      await assertValidParent(category, fields.parent);
+    }
+
+    category.set(fields);
+    await category.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Category updated successfully',
+      data: category
+    });
+  } catch (error) {
+    sendError(res, error, 'Error updating category');
+  }
+};
+
+// @desc    Delete category
+// @route   DELETE /api/categories/:id
+// @access  Private/Staff
+exports.deleteCategory = async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id);
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    const productCount = await Product.countDocuments({ category: category.slug });
+    if (productCount > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `${productCount} product(s) still use this category. Move them to another category first.`
+      });
+    }
+
+    if (await Category.exists({ parent: category._id })) {
+      return res.status(409).json({
+        success: false,
+        message: 'Move or delete this category\'s subcategories first'
+      });
+    }
+
+    await category.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Category deleted successfully',
+      data: {}
+    });
+  } catch (error) {
+    sendError(res, error, 'Error deleting category');
+  }
+};
+
+// @desc    Create categories for any slugs products already use
+// @route   POST /api/categories/sync
+// @access  Private/Staff
+exports.syncCategories = async (req, res) => {
+  try {
+    // Startup does this too; this is for after restoring products from a backup
+    const created = await syncCategoriesFromProducts();
+
+    res.status(200).json({
+      success: true,
+      message: `${created.length} categor${created.length === 1 ? 'y' : 'ies'} created from existing products`,
+      data: created
+    });
+  } catch (error) {
+    sendError(res, error, 'Error syncing categories');
+  }
+};
@@ -0,0 +1,241 @@
+const Coupon = require('../models/Coupon');
+const { priceItems } = require('../services/checkoutService');
+const { applyCoupon } = require('../services/couponService');
+const HttpError = require('../utils/HttpError');
+
+// Fields admins may set on a coupon
+const COUPON_FIELDS = [
+  'code', 'description', 'discountType', 'value', 'maxDiscount', 'minSpend',
+  'categories', 'products', 'usageLimit', 'perUserLimit', 'startsAt', 'expiresAt', 'isActive'
+];
+
+const pickCouponFields = (body) => COUPON_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) {
+    fields[key] = body[key];
+  }
+  return fields;
+}, {});
+
+// @desc    Get all coupons (Admin)
+// @route   GET /api/coupons
+// @access  Private/Admin
+exports.getCoupons = async (req, res) => {
+  try {
+    let query = {};
+
+    // Filter by active flag
+    if (req.query.isActive) {
+      query.isActive = req.query.isActive === 'true';
+    }
+
+    // Pagination
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const skip = (page - 1) * limit;
+
+    const coupons = await Coupon.find(query)
+      .skip(skip)
+      .limit(limit)
+      .sort('-createdAt');
+
+    const total = await Coupon.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: coupons.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: coupons
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching coupons',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get single coupon (Admin)
+// @route   GET /api/coupons/:id
+// @access  Private/Admin
+exports.getCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: coupon
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching coupon',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create coupon (Admin)
+// @route   POST /api/coupons
+// @access  Private/Admin
+exports.createCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.create(pickCouponFields(req.body));
+
+    res.status(201).json({
+      success: true,
+      message: 'Coupon created successfully',
+      data: coupon
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A coupon with this code already exists'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error creating coupon',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update coupon (Admin)
+// @route   PUT /api/coupons/:id
+// @access  Private/Admin
+exports.updateCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    // Load and save so the schema's validation hooks run
+    coupon.set(pickCouponFields(req.body));
+    await coupon.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Coupon updated successfully',
+      data: coupon
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A coupon with this code already exists'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating coupon',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete coupon (Admin)
+// @route   DELETE /api/coupons/:id
+// @access  Private/Admin
+exports.deleteCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findByIdAndDelete(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Coupon deleted successfully',
+      data: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting coupon',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Check a coupon against a cart and preview the discount
+// @route   POST /api/coupons/validate
+// @access  Private
+exports.validateCoupon = async (req, res) => {
+  try {
+    const { code, items } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a coupon code'
+      });
+    }
+
+    const { lines, itemsPrice } = await priceItems(items);
+    const { coupon, discount } = await applyCoupon(code, { lines, itemsPrice, userId: req.user.id });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        code: coupon.code,
+        description: coupon.description,
+        discount,
+        itemsPrice,
+        items: lines.map((line) => ({
+          product: line.product,
+          discount: line.discount
+        }))
+      }
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        details: error.details
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error validating coupon',
+      error: error.message
+    });
+  }
+};
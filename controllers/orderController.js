@@ -1,5 +1,27 @@
 const Order = require('../models/Order');
-const Product = require('../models/Product');
+const { buildQuote, placeOrder, toBreakdown } = require('../services/checkoutService');
+const { reservationExpiry, isOfflinePayment } = require('../services/stockService');
+const { getCheckoutItems, clearCart } = require('../services/cartService');
+const { issueRefund, cancelAndRefund } = require('../services/refundService');
+const { resolveShippingAddress } = require('../services/addressService');
+const HttpError = require('../utils/HttpError');
+const { createOpaqueToken, tokenMatches } = require('../utils/tokens');
+const { auditFields } = require('../utils/audit');
+const { isValidEmail } = require('../utils/validators');
+const { hasPermission } = require('../config/permissions');
+
+// Check the payment method before any stock is reserved. Offline orders
+// hold their stock until staff act on them, so only customers with an
+// account may place one.
+const assertPaymentMethod = (paymentMethod, { guest = false } = {}) => {
+  if (!Order.PAYMENT_METHODS.includes(paymentMethod)) {
+    throw new HttpError(400, `Payment method must be one of: ${Order.PAYMENT_METHODS.join(', ')}`);
+  }
+
+  if (guest && isOfflinePayment(paymentMethod)) {
+    throw new HttpError(400, 'Guest orders must be paid online. Please sign in to pay on delivery or by bank transfer.');
+  }
+};
 
 // @desc    Create new order
 // @route   POST /api/orders
@@ -8,69 +30,137 @@ exports.createOrder = async (req, res) => {
   try {
     const {
       orderItems,
-      shippingAddress,
+      shippingAddress: requestAddress,
+      addressId,
       paymentMethod,
-      itemsPrice,
-      shippingPrice,
-      taxPrice,
-      totalPrice
+      couponCode,
+      fromCart
     } = req.body;
 
+    // A saved address from the address book, or one entered at checkout
+    const shippingAddress = resolveShippingAddress({ addressId, shippingAddress: requestAddress, user: req.user });
+
+    // Order either the stored cart or the items sent with the request
+    const items = fromCart ? await getCheckoutItems(req.user.id) : orderItems;
+
     // Validate that order has items
-    if (!orderItems || orderItems.length === 0) {
+    if (!items || items.length === 0) {
       return res.status(400).json({
         success: false,
-        message: 'No order items provided'
+        message: fromCart ? 'Your cart is empty' : 'No order items provided'
       });
     }
 
-    // Check stock availability for all items
-    for (let item of orderItems) {
-      const product = await Product.findById(item.product);
-      
-      if (!product) {
-        return res.status(404).json({
-          success: false,
-          message: `Product ${item.name} not found`
-        });
-      }
+    assertPaymentMethod(paymentMethod);
 
-      if (product.stock < item.quantity) {
-        return res.status(400).json({
-          success: false,
-          message: `Not enough stock for ${product.name}. Only ${product.stock} available`
-        });
-      }
-    }
+    // Prices come from the catalog; client-sent totals are ignored
+    const quote = await buildQuote(items, {
+      couponCode,
+      userId: req.user.id,
+      email: req.user.email,
+      shippingAddress
+    });
 
-    // Create order
-    const order = await Order.create({
+    // Reserves stock atomically so concurrent orders can't oversell
+    const order = await placeOrder(quote, {
       user: req.user.id,
-      orderItems,
       shippingAddress,
       paymentMethod,
-      itemsPrice,
-      shippingPrice,
-      taxPrice,
-      totalPrice
+      reservationExpiresAt: reservationExpiry(paymentMethod)
     });
 
-    // Update product stock
-    for (let item of orderItems) {
-      const product = await Product.findById(item.product);
-      product.stock -= item.quantity;
-      if (product.stock === 0) {
-        product.inStock = false;
-      }
-      await product.save();
+    if (fromCart) {
+      await clearCart(req.user.id);
     }
 
     res.status(201).json({
       success: true,
       message: 'Order created successfully',
-      data: order
+      data: order,
+      breakdown: toBreakdown(quote)
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        details: error.details
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error creating order',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create order without an account
+// @route   POST /api/orders/guest
+// @access  Public
+exports.createGuestOrder = async (req, res) => {
+  try {
+    const {
+      orderItems,
+      shippingAddress: requestAddress,
+      addressId,
+      paymentMethod,
+      couponCode,
+      email,
+      name,
+      phone
+    } = req.body;
+
+    if (!isValidEmail(email)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid email'
+      });
+    }
+
+    if (!orderItems || orderItems.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No order items provided'
+      });
+    }
+
+    assertPaymentMethod(paymentMethod, { guest: true });
+
+    const shippingAddress = resolveShippingAddress({ addressId, shippingAddress: requestAddress });
+
+    const guest = { email: email.trim().toLowerCase(), name, phone };
+    const quote = await buildQuote(orderItems, { couponCode, email: guest.email, shippingAddress });
+
+    // The guest's only way back to this order
+    const access = createOpaqueToken();
+
+    const order = await placeOrder(quote, {
+      guest,
+      accessTokenHash: access.hash,
+      shippingAddress,
+      paymentMethod,
+      reservationExpiresAt: reservationExpiry(paymentMethod)
+    });
+    order.accessTokenHash = undefined;
+
+    res.status(201).json({
+      success: true,
+      message: 'Order created successfully',
+      data: order,
+      orderAccessToken: access.token,
+      breakdown: toBreakdown(quote)
     });
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        details: error.details
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Error creating order',
@@ -104,12 +194,25 @@ exports.getMyOrders = async (req, res) => {
 
 // @desc    Get order by ID
 // @route   GET /api/orders/:id
-// @access  Private
+// @access  Private (or guest with order access token, or API key with orders:read)
 exports.getOrderById = async (req, res) => {
   try {
+    // Guests send the access token they got at checkout instead of logging in
+    const guestToken = req.headers['x-order-token'] || req.query.token;
+
+    if (!req.user && !guestToken) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to access this route. Please login.'
+      });
+    }
+
     const order = await Order.findById(req.params.id)
+      .select('+accessTokenHash')
       .populate('user', 'name email')
-      .populate('orderItems.product', 'name price');
+      .populate('orderItems.product', 'name price')
+      .populate('statusHistory.actor', 'name')
+      .populate('statusHistory.apiKey', 'name prefix');
 
     if (!order) {
       return res.status(404).json({
@@ -118,14 +221,20 @@ exports.getOrderById = async (req, res) => {
       });
     }
 
-    // Check if user owns this order or is admin
-    if (order.user._id.toString() !== req.user.id && req.user.role !== 'admin') {
+    // Check if user owns this order, is staff or an API key that can see
+    // orders, or holds the guest token
+    const isOwner = req.user
+      && ((order.user && order.user._id.toString() === req.user.id) || hasPermission(req.user, 'orders:read'));
+
+    if (!isOwner && !tokenMatches(guestToken, order.accessTokenHash)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to view this order'
       });
     }
 
+    order.accessTokenHash = undefined;
+
     res.status(200).json({
       success: true,
       data: order
@@ -192,9 +301,9 @@ exports.getAllOrders = async (req, res) => {
 // @access  Private/Admin
 exports.updateOrderStatus = async (req, res) => {
   try {
-    const { status } = req.body;
+    const { status, note } = req.body;
 
-    const order = await Order.findById(req.params.id);
+    let order = await Order.findById(req.params.id);
 
     if (!order) {
       return res.status(404).json({
@@ -203,21 +312,34 @@ exports.updateOrderStatus = async (req, res) => {
       });
     }
 
-    order.status = status;
-
-    if (status === 'delivered') {
-      order.isDelivered = true;
-      order.deliveredAt = Date.now();
+    // Cancelling refunds paid orders and gives reserved stock back
+    if (status === 'cancelled') {
+      if (!hasPermission(req.user, 'orders:refund')) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to cancel orders'
+        });
+      }
+      order = await cancelAndRefund(order, { ...auditFields(req.user), note });
+    } else {
+      order.transitionTo(status, { ...auditFields(req.user), note });
+      await order.save();
     }
 
-    await order.save();
-
     res.status(200).json({
       success: true,
       message: 'Order status updated successfully',
       data: order
     });
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        details: error.details
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Error updating order status',
@@ -240,6 +362,14 @@ exports.updateOrderToPaid = async (req, res) => {
       });
     }
 
+    // Cancelled orders have already given their stock back; payment is
+    // recorded before an order moves on to shipping
+    if (!['pending', 'processing'].includes(order.status)) {
+      throw new HttpError(409, `Cannot mark a ${order.status} order as paid`, {
+        status: order.status
+      });
+    }
+
     order.isPaid = true;
     order.paidAt = Date.now();
     order.paymentResult = {
@@ -248,7 +378,11 @@ exports.updateOrderToPaid = async (req, res) => {
       update_time: req.body.update_time,
       email_address: req.body.email_address
     };
-    order.status = 'processing';
+    order.reservationExpiresAt = undefined; // Paid orders keep their stock
+
+    if (order.status === 'pending') {
+      order.transitionTo('processing', { ...auditFields(req.user), note: 'Payment received' });
+    }
 
     await order.save();
 
@@ -258,10 +392,116 @@ exports.updateOrderToPaid = async (req, res) => {
       data: order
     });
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        details: error.details
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Error updating order',
       error: error.message
     });
   }
+};
+
+// @desc    Cancel order before it ships (refunds if paid)
+// @route   PUT /api/orders/:id/cancel
+// @access  Private
+exports.cancelOrder = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    // Check if user owns this order or is staff who can refund
+    if ((!order.user || order.user.toString() !== req.user.id) && !hasPermission(req.user, 'orders:refund')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to cancel this order'
+      });
+    }
+
+    const cancelled = await cancelAndRefund(order, {
+      ...auditFields(req.user),
+      note: req.body.reason || 'Cancelled by customer'
+    });
+
+    res.status(200).json({
+      success: true,
+      message: cancelled.refundedAmount > 0 ? 'Order cancelled and refunded' : 'Order cancelled',
+      data: cancelled
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        details: error.details
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling order',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Refund order in full or per item (Admin)
+// @route   POST /api/orders/:id/refund
+// @access  Private/Admin
+exports.refundOrder = async (req, res) => {
+  try {
+    const { items, reason, restock = true } = req.body;
+
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const { order: refunded, refund } = await issueRefund(order, {
+      items,
+      reason,
+      ...auditFields(req.user),
+      restockItems: restock !== false
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Refund issued successfully',
+      data: {
+        refundId: refund.id,
+        amount: refund.amount / 100,
+        order: refunded
+      }
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        details: error.details
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error issuing refund',
+      error: error.message
+    });
+  }
 };
\ No newline at end of file
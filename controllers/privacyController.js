@@ -0,0 +1,98 @@
+const User = require('../models/User');
+const HttpError = require('../utils/HttpError');
+const { exportUserData, eraseUser } = require('../services/privacyService');
+const { verifyGoogleIdToken } = require('../services/googleAuthService');
+
+// @desc    Download everything we hold about the current user
+// @route   GET /api/auth/me/export
+// @access  Private
+exports.exportMyData = async (req, res) => {
+  try {
+    const data = await exportUserData(req.user.id);
+
+    res.set('Content-Disposition', `attachment; filename="femty-data-${req.user.id}.json"`);
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting data',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Erase the current user's personal data and close the account
+// @route   DELETE /api/auth/me
+// @access  Private
+exports.eraseMyAccount = async (req, res) => {
+  try {
+    const { password, idToken } = req.body;
+
+    // A stolen access token alone shouldn't be enough to wipe an account,
+    // so the customer signs in again: with their password, or with Google
+    // if the account has no password
+    const user = await User.findById(req.user.id).select('+password');
+
+    if (user.password) {
+      if (!password) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please confirm with your password'
+        });
+      }
+
+      if (!(await user.comparePassword(password))) {
+        return res.status(401).json({
+          success: false,
+          message: 'Password is incorrect'
+        });
+      }
+    } else {
+      if (!idToken) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please confirm by signing in with Google'
+        });
+      }
+
+      const identity = await verifyGoogleIdToken(idToken);
+
+      if (identity.googleId !== user.googleId) {
+        return res.status(401).json({
+          success: false,
+          message: 'That Google account is not linked to this account'
+        });
+      }
+    }
+
+    await eraseUser(user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Your account and personal data have been erased'
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error erasing account',
+      error: error.message
+    });
+  }
+};
@@ -1,46 +1,32 @@
 const Product = require('../models/Product');
+const Review = require('../models/Review');
+const Order = require('../models/Order');
+const Cart = require('../models/Cart');
+const HttpError = require('../utils/HttpError');
+const { searchProducts, suggestProducts } = require('../services/productSearchService');
+const { categoryAndDescendantSlugs } = require('../services/categoryService');
+const { parseImport, importProducts, streamExport } = require('../services/productImportService');
 
-// @desc    Get all products
+// Lowest and highest variant price. Products saved before variants
+// existed have no stored range, so fall back to their single price.
+const withPriceRange = (product) => {
+  const data = product.toJSON();
+  if (!data.priceRange || data.priceRange.min == null) {
+    data.priceRange = { min: data.price, max: data.price };
+  }
+  return data;
+};
+
+// @desc    Get all products, with filters, sorting and facet counts
 // @route   GET /api/products
 // @access  Public
 exports.getAllProducts = async (req, res) => {
   try {
-    // Build query based on filters
-    let query = {};
-
-    // Filter by category
-    if (req.query.category) {
-      query.category = req.query.category;
-    }
-
-    // Filter by stock availability
-    if (req.query.inStock) {
-      query.inStock = req.query.inStock === 'true';
-    }
-
-    // Filter by featured
-    if (req.query.featured) {
-      query.featured = req.query.featured === 'true';
-    }
-
-    // Search by name or description
-    if (req.query.search) {
-      query.$text = { $search: req.query.search };
-    }
-
-    // Pagination
-    const page = parseInt(req.query.page, 10) || 1;
-    const limit = parseInt(req.query.limit, 10) || 10;
-    const skip = (page - 1) * limit;
-
-    // Execute query
-    const products = await Product.find(query)
-      .skip(skip)
-      .limit(limit)
-      .sort('-createdAt');
-
-    // Get total count
-    const total = await Product.countDocuments(query);
+    // Pagination; the search clamps these to a valid range
+    const { products, page, limit, total, facets } = await searchProducts(req.query, {
+      page: parseInt(req.query.page, 10) || 1,
+      limit: parseInt(req.query.limit, 10) || 10
+    });
 
     res.status(200).json({
       success: true,
@@ -48,9 +34,17 @@ exports.getAllProducts = async (req, res) => {
       total,
       page,
       pages: Math.ceil(total / limit),
-      data: products
+      facets,
+      data: products.map(withPriceRange)
     });
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Error fetching products',
@@ -59,6 +53,26 @@ exports.getAllProducts = async (req, res) => {
   }
 };
 
+// @desc    Suggest product names and brands as the shopper types
+// @route   GET /api/products/suggest
+// @access  Public
+exports.getSuggestions = async (req, res) => {
+  try {
+    const data = await suggestProducts(req.query.q, parseInt(req.query.limit, 10));
+
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching suggestions',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Get single product
 // @route   GET /api/products/:id
 // @access  Public
@@ -75,7 +89,7 @@ exports.getProduct = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      data: product
+      data: withPriceRange(product)
     });
   } catch (error) {
     res.status(500).json({
@@ -112,14 +126,7 @@ exports.createProduct = async (req, res) => {
 // @access  Private/Admin
 exports.updateProduct = async (req, res) => {
   try {
-    const product = await Product.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      {
-        new: true,
-        runValidators: true
-      }
-    );
+    const product = await Product.findById(req.params.id);
 
     if (!product) {
       return res.status(404).json({
@@ -128,6 +135,44 @@ exports.updateProduct = async (req, res) => {
       });
     }
 
+    const { variants, ...fields } = req.body;
+    product.set(fields);
+
+    let removedVariants = [];
+    if (variants !== undefined) {
+      if (!Array.isArray(variants)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Variants must be a list'
+        });
+      }
+
+      removedVariants = product.mergeVariants(variants);
+
+      // Stock held by open orders goes back to these variants on cancel
+      // or expiry, so they can't disappear underneath them
+      if (removedVariants.length > 0 && await Order.exists({
+        stockReserved: true,
+        orderItems: { $elemMatch: { product: product._id, variant: { $in: removedVariants } } }
+      })) {
+        return res.status(409).json({
+          success: false,
+          message: 'A variant you removed is reserved by open orders. Set its stock to 0 instead, or remove it once those orders are done.'
+        });
+      }
+    }
+
+    // Saved through the document so price, stock and price range are
+    // recalculated from the variants
+    await product.save();
+
+    if (removedVariants.length > 0) {
+      await Cart.updateMany(
+        { 'items.variant': { $in: removedVariants } },
+        { $pull: { items: { product: product._id, variant: { $in: removedVariants } } } }
+      );
+    }
+
     res.status(200).json({
       success: true,
       message: 'Product updated successfully',
@@ -156,6 +201,8 @@ exports.deleteProduct = async (req, res) => {
       });
     }
 
+    await Review.deleteMany({ product: product._id });
+
     res.status(200).json({
       success: true,
       message: 'Product deleted successfully',
@@ -170,17 +217,18 @@ exports.deleteProduct = async (req, res) => {
   }
 };
 
-// @desc    Get products by category
+// @desc    Get products in a category and its subcategories
 // @route   GET /api/products/category/:category
 // @access  Public
 exports.getProductsByCategory = async (req, res) => {
   try {
-    const products = await Product.find({ category: req.params.category });
+    const slugs = await categoryAndDescendantSlugs(req.params.category.toLowerCase());
+    const products = await Product.find({ category: { $in: slugs } });
 
     res.status(200).json({
       success: true,
       count: products.length,
-      data: products
+      data: products.map(withPriceRange)
     });
   } catch (error) {
     res.status(500).json({
@@ -189,4 +237,82 @@ exports.getProductsByCategory = async (req, res) => {
       error: error.message
     });
   }
-};
\ No newline at end of file
+};
+
+// @desc    Import products from a CSV or JSON file
+// @route   POST /api/products/import?dryRun=true
+// @access  Private/Admin
+exports.importProducts = async (req, res) => {
+  try {
+    const dryRun = req.query.dryRun === 'true';
+
+    // Either an uploaded file, or the rows sent directly as JSON
+    let rows;
+    if (req.file) {
+      const isJson = req.query.format === 'json'
+        || req.file.mimetype === 'application/json'
+        || /\.json$/i.test(req.file.originalname);
+      rows = parseImport(req.file.buffer.toString('utf8'), isJson ? 'json' : 'csv');
+    } else if (Array.isArray(req.body.products)) {
+      rows = parseImport(req.body.products, 'json');
+    } else {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload a CSV or JSON file'
+      });
+    }
+
+    const report = await importProducts(rows, { dryRun });
+
+    res.status(200).json({
+      success: true,
+      message: dryRun
+        ? `Dry run: ${report.created} to create, ${report.updated} to update, ${report.failed} with errors`
+        : `${report.created} created, ${report.updated} updated, ${report.failed} failed`,
+      data: report
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error importing products',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Export the catalogue as CSV or JSON
+// @route   GET /api/products/export?format=csv|json
+// @access  Private/Admin
+exports.exportProducts = async (req, res) => {
+  const format = req.query.format === 'json' ? 'json' : 'csv';
+
+  try {
+    const date = new Date().toISOString().slice(0, 10);
+    res.set('Content-Type', format === 'json' ? 'application/json' : 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="femty-products-${date}.${format}"`);
+
+    await streamExport(res, format);
+  } catch (error) {
+    // Once rows have gone out the status can't change, so just cut it short.
+    // A client that disconnects part way isn't an error worth logging.
+    if (res.headersSent) {
+      if (error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+        console.error('Product export failed:', error);
+      }
+      return res.destroy();
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting products',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,337 @@
+const mongoose = require('mongoose');
+const Review = require('../models/Review');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const { hasPermission } = require('../config/permissions');
+const { auditFields } = require('../utils/audit');
+
+// New and edited reviews wait for a moderator when this is switched on
+const initialStatus = () => (process.env.REVIEWS_REQUIRE_APPROVAL === 'true' ? 'pending' : 'approved');
+
+// Sort orders the public listing accepts
+const REVIEW_SORTS = {
+  newest: '-createdAt',
+  oldest: 'createdAt',
+  highest: '-rating -createdAt',
+  lowest: 'rating -createdAt'
+};
+
+// Photos are links to images already uploaded, at most five
+const pickPhotos = (photos) => {
+  if (!Array.isArray(photos)) {
+    return [];
+  }
+  return photos
+    .map((photo) => (typeof photo === 'string' ? photo : photo && photo.url))
+    .filter((url) => typeof url === 'string' && /^https?:\/\//.test(url))
+    .map((url) => ({ url }));
+};
+
+// @desc    Get approved reviews for a product
+// @route   GET /api/products/:id/reviews
+// @access  Public
+exports.getProductReviews = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const query = { product: req.params.id, status: 'approved' };
+
+    // Filter by star rating
+    if (req.query.rating) {
+      query.rating = Number(req.query.rating);
+    }
+
+    // Pagination
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const skip = (page - 1) * limit;
+
+    const reviews = await Review.find(query)
+      .populate('user', 'name')
+      .select('-moderation')
+      .skip(skip)
+      .limit(limit)
+      .sort(REVIEW_SORTS[req.query.sort] || REVIEW_SORTS.newest);
+
+    const total = await Review.countDocuments(query);
+
+    // How many reviews gave each star rating
+    const distribution = await Review.aggregate([
+      { $match: { product: new mongoose.Types.ObjectId(String(req.params.id)), status: 'approved' } },
+      { $group: { _id: '$rating', count: { $sum: 1 } } }
+    ]);
+    const stars = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    distribution.forEach((entry) => {
+      stars[entry._id] = entry.count;
+    });
+
+    res.status(200).json({
+      success: true,
+      count: reviews.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      distribution: stars,
+      data: reviews
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching reviews',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Review a product from a delivered order
+// @route   POST /api/reviews
+// @access  Private
+exports.createReview = async (req, res) => {
+  try {
+    const { product: productId, rating, title, body, photos } = req.body;
+
+    if (!productId || !mongoose.isValidObjectId(productId) || !(await Product.exists({ _id: productId }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    // Only customers who have received the product may review it
+    const order = await Order.findOne({
+      user: req.user.id,
+      status: 'delivered',
+      'orderItems.product': productId
+    }).select('_id');
+
+    if (!order) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can review products from your delivered orders'
+      });
+    }
+
+    if (await Review.exists({ product: productId, user: req.user.id })) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already reviewed this product'
+      });
+    }
+
+    const review = await Review.create({
+      product: productId,
+      user: req.user.id,
+      order: order._id,
+      rating,
+      title,
+      body,
+      photos: pickPhotos(photos),
+      status: initialStatus()
+    });
+
+    res.status(201).json({
+      success: true,
+      message: review.status === 'pending'
+        ? 'Thanks! Your review will appear once it has been approved'
+        : 'Review posted successfully',
+      data: review
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already reviewed this product'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error posting review',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Edit own review
+// @route   PUT /api/reviews/:id
+// @access  Private
+exports.updateReview = async (req, res) => {
+  try {
+    const review = await Review.findById(req.params.id);
+
+    if (!review || review.user.toString() !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    ['rating', 'title', 'body'].forEach((key) => {
+      if (req.body[key] !== undefined) {
+        review[key] = req.body[key];
+      }
+    });
+    if (req.body.photos !== undefined) {
+      review.photos = pickPhotos(req.body.photos);
+    }
+
+    // Edits go back through moderation, and a hidden review stays hidden
+    if (review.status !== 'hidden') {
+      review.status = initialStatus();
+    }
+
+    await review.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Review updated successfully',
+      data: review
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating review',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete a review (author or moderator)
+// @route   DELETE /api/reviews/:id
+// @access  Private
+exports.deleteReview = async (req, res) => {
+  try {
+    const review = await Review.findById(req.params.id);
+    const canDelete = review
+      && (review.user.toString() === req.user.id || hasPermission(req.user, 'reviews:moderate'));
+
+    if (!canDelete) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    await review.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Review deleted successfully',
+      data: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting review',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get reviews for moderation
+// @route   GET /api/reviews
+// @access  Private/Staff
+exports.getReviews = async (req, res) => {
+  try {
+    let query = {};
+
+    // Filter by moderation status
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    // Filter by product
+    if (req.query.product) {
+      query.product = req.query.product;
+    }
+
+    // Pagination
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const skip = (page - 1) * limit;
+
+    const reviews = await Review.find(query)
+      .populate('user', 'name email')
+      .populate('product', 'name')
+      .skip(skip)
+      .limit(limit)
+      .sort('-createdAt');
+
+    const total = await Review.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: reviews.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: reviews
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching reviews',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Approve or hide a review
+// @route   PUT /api/reviews/:id/moderate
+// @access  Private/Staff
+exports.moderateReview = async (req, res) => {
+  try {
+    const { status, note } = req.body;
+
+    if (!['approved', 'hidden'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status must be "approved" or "hidden"'
+      });
+    }
+
+    const review = await Review.findById(req.params.id);
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    review.status = status;
+    review.moderation = { ...auditFields(req.user), note, at: new Date() };
+    await review.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Review ${status === 'approved' ? 'approved' : 'hidden'} successfully`,
+      data: review
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error moderating review',
+      error: error.message
+    });
+  }
+};
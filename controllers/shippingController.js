@@ -0,0 +1,172 @@
+const ShippingZone = require('../models/ShippingZone');
+const { buildQuote } = require('../services/checkoutService');
+const { normalizeState } = require('../utils/usStates');
+const HttpError = require('../utils/HttpError');
+
+// Fields admins may set on a zone
+const pickZoneFields = (body) => {
+  const fields = {};
+  ['name', 'zipPrefixes', 'isDefault', 'flatFee', 'freeDeliveryThreshold',
+    'weightSurcharges', 'estimatedDays', 'isActive'].forEach((key) => {
+    if (body[key] !== undefined) {
+      fields[key] = body[key];
+    }
+  });
+  if (Array.isArray(body.states)) {
+    fields.states = body.states.map(normalizeState);
+  }
+  return fields;
+};
+
+// @desc    Quote delivery fee and window for a cart and address
+// @route   POST /api/shipping/quote
+// @access  Public (signed-in shoppers have per-customer coupon limits checked)
+exports.getShippingQuote = async (req, res) => {
+  try {
+    const { items, shippingAddress, couponCode, email } = req.body;
+
+    if (!shippingAddress || !shippingAddress.state) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a shipping address with a state'
+      });
+    }
+
+    // Priced the way checkout prices it, so free delivery is judged on
+    // the same discounted subtotal
+    const quote = await buildQuote(items, {
+      couponCode,
+      userId: req.user && req.user.id,
+      email: req.user ? req.user.email : email,
+      shippingAddress
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        itemsPrice: quote.itemsPrice,
+        discountPrice: quote.discountPrice,
+        ...quote.delivery
+      }
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        details: error.details
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error quoting delivery',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get all shipping zones
+// @route   GET /api/shipping/zones
+// @access  Private/Admin
+exports.getShippingZones = async (req, res) => {
+  try {
+    const zones = await ShippingZone.find().sort('name');
+
+    res.status(200).json({
+      success: true,
+      count: zones.length,
+      data: zones
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching shipping zones',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create shipping zone
+// @route   POST /api/shipping/zones
+// @access  Private/Admin
+exports.createShippingZone = async (req, res) => {
+  try {
+    const zone = await ShippingZone.create(pickZoneFields(req.body));
+
+    res.status(201).json({
+      success: true,
+      message: 'Shipping zone created successfully',
+      data: zone
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error creating shipping zone',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update shipping zone
+// @route   PUT /api/shipping/zones/:id
+// @access  Private/Admin
+exports.updateShippingZone = async (req, res) => {
+  try {
+    const zone = await ShippingZone.findByIdAndUpdate(
+      req.params.id,
+      pickZoneFields(req.body),
+      {
+        new: true,
+        runValidators: true
+      }
+    );
+
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipping zone not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Shipping zone updated successfully',
+      data: zone
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error updating shipping zone',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete shipping zone
+// @route   DELETE /api/shipping/zones/:id
+// @access  Private/Admin
+exports.deleteShippingZone = async (req, res) => {
+  try {
+    const zone = await ShippingZone.findByIdAndDelete(req.params.id);
+
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipping zone not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Shipping zone deleted successfully',
+      data: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting shipping zone',
+      error: error.message
+    });
+  }
+};
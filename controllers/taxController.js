@@ -0,0 +1,203 @@
+const TaxRate = require('../models/TaxRate');
+const TaxCategory = require('../models/TaxCategory');
+const { normalizeState } = require('../utils/usStates');
+
+// Fields admins may set on a tax rate
+const pickRateFields = (body) => {
+  const fields = {};
+  ['name', 'country', 'zipPrefix', 'rate', 'isActive'].forEach((key) => {
+    if (body[key] !== undefined) {
+      fields[key] = body[key];
+    }
+  });
+  if (body.state !== undefined) {
+    fields.state = normalizeState(body.state);
+  }
+  return fields;
+};
+
+// @desc    Get all tax rates
+// @route   GET /api/tax/rates
+// @access  Private/Admin
+exports.getTaxRates = async (req, res) => {
+  try {
+    let query = {};
+
+    // Filter by state
+    if (req.query.state) {
+      query.state = normalizeState(req.query.state);
+    }
+
+    const rates = await TaxRate.find(query).sort('state zipPrefix');
+
+    res.status(200).json({
+      success: true,
+      count: rates.length,
+      data: rates
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching tax rates',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create tax rate
+// @route   POST /api/tax/rates
+// @access  Private/Admin
+exports.createTaxRate = async (req, res) => {
+  try {
+    const rate = await TaxRate.create(pickRateFields(req.body));
+
+    res.status(201).json({
+      success: true,
+      message: 'Tax rate created successfully',
+      data: rate
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A tax rate for this state and zip prefix already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error creating tax rate',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update tax rate
+// @route   PUT /api/tax/rates/:id
+// @access  Private/Admin
+exports.updateTaxRate = async (req, res) => {
+  try {
+    const rate = await TaxRate.findByIdAndUpdate(
+      req.params.id,
+      pickRateFields(req.body),
+      {
+        new: true,
+        runValidators: true
+      }
+    );
+
+    if (!rate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax rate not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Tax rate updated successfully',
+      data: rate
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A tax rate for this state and zip prefix already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating tax rate',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete tax rate
+// @route   DELETE /api/tax/rates/:id
+// @access  Private/Admin
+exports.deleteTaxRate = async (req, res) => {
+  try {
+    const rate = await TaxRate.findByIdAndDelete(req.params.id);
+
+    if (!rate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax rate not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Tax rate deleted successfully',
+      data: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting tax rate',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get category taxability settings
+// @route   GET /api/tax/categories
+// @access  Private/Admin
+exports.getTaxCategories = async (req, res) => {
+  try {
+    const categories = await TaxCategory.find().sort('category');
+
+    res.status(200).json({
+      success: true,
+      count: categories.length,
+      data: categories
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching tax categories',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Set whether a category is taxable
+// @route   PUT /api/tax/categories/:category
+// @access  Private/Admin
+exports.setCategoryTaxable = async (req, res) => {
+  try {
+    const { taxable, note } = req.body;
+
+    if (typeof taxable !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide taxable as true or false'
+      });
+    }
+
+    // Product categories are lowercase slugs, so "Grains" means "grains"
+    const category = await TaxCategory.findOneAndUpdate(
+      { category: req.params.category.trim().toLowerCase() },
+      { taxable, note },
+      {
+        new: true,
+        upsert: true,
+        runValidators: true
+      }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Category ${category.category} is now ${taxable ? 'taxable' : 'tax exempt'}`,
+      data: category
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error updating tax category',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,328 @@
+const User = require('../models/User');
+const Order = require('../models/Order');
+const Cart = require('../models/Cart');
+const { ROLES } = require('../config/permissions');
+const { revokeUserSessions } = require('../services/sessionService');
+const { unlockAccount } = require('../services/loginThrottleService');
+const { eraseUser } = require('../services/privacyService');
+const HttpError = require('../utils/HttpError');
+const { escapeRegex } = require('../utils/regex');
+const { roundMoney } = require('../utils/money');
+
+// Sort orders the user listing accepts
+const USER_SORTS = ['createdAt', '-createdAt', 'name', '-name', 'email', '-email'];
+
+// @desc    Get users (searchable, paginated)
+// @route   GET /api/auth/users
+// @access  Private/Staff
+exports.getUsers = async (req, res) => {
+  try {
+    let query = {};
+
+    // Repeated params (?search=a&search=b) arrive as arrays
+    if (req.query.search !== undefined && typeof req.query.search !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'search must be a single value'
+      });
+    }
+
+    // Search by name or email
+    if (req.query.search) {
+      const pattern = new RegExp(escapeRegex(req.query.search.trim()), 'i');
+      query.$or = [{ name: pattern }, { email: pattern }];
+    }
+
+    // Filter by role
+    if (req.query.role) {
+      query.role = req.query.role;
+    }
+
+    // Filter by active flag
+    if (req.query.isActive) {
+      query.isActive = req.query.isActive === 'true';
+    }
+
+    // Filter by signup date
+    const bounds = { signedUpFrom: '$gte', signedUpTo: '$lte' };
+    for (const [param, operator] of Object.entries(bounds)) {
+      if (req.query[param]) {
+        const date = typeof req.query[param] === 'string' ? new Date(req.query[param]) : null;
+        if (!date || Number.isNaN(date.getTime())) {
+          return res.status(400).json({
+            success: false,
+            message: `${param} must be a valid date`
+          });
+        }
+        query.createdAt = { ...query.createdAt, [operator]: date };
+      }
+    }
+
+    const sort = USER_SORTS.includes(req.query.sort) ? req.query.sort : '-createdAt';
+
+    // Pagination
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const skip = (page - 1) * limit;
+
+    const users = await User.find(query)
+      .select('name email role isActive emailVerified createdAt')
+      .skip(skip)
+      .limit(limit)
+      .sort(sort);
+
+    const total = await User.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: users.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: users
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching users',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get a customer with their order history summary
+// @route   GET /api/auth/users/:id
+// @access  Private/Staff
+exports.getUserDetails = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Lifetime spend counts paid orders, less anything refunded
+    const [summary] = await Order.aggregate([
+      { $match: { user: user._id } },
+      {
+        $group: {
+          _id: null,
+          orderCount: { $sum: 1 },
+          paidOrderCount: { $sum: { $cond: ['$isPaid', 1, 0] } },
+          lifetimeSpend: {
+            $sum: {
+              $cond: ['$isPaid', { $subtract: ['$totalPrice', { $ifNull: ['$refundedAmount', 0] }] }, 0]
+            }
+          },
+          lastOrderAt: { $max: '$createdAt' }
+        }
+      }
+    ]);
+
+    const recentOrders = await Order.find({ user: user._id })
+      .select('totalPrice status isPaid createdAt')
+      .sort('-createdAt')
+      .limit(5);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        user,
+        orderCount: summary ? summary.orderCount : 0,
+        paidOrderCount: summary ? summary.paidOrderCount : 0,
+        lifetimeSpend: summary ? roundMoney(summary.lifetimeSpend) : 0,
+        lastOrderAt: summary ? summary.lastOrderAt : null,
+        recentOrders
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching user',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update user role
+// @route   PUT /api/auth/users/:id/role
+// @access  Private/Staff
+exports.updateUserRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid role. Must be one of: ${ROLES.join(', ')}`
+      });
+    }
+
+    // Nobody can change their own role, so staff can't promote themselves
+    if (req.params.id === req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { role },
+      { new: true }
+    ).select('-password');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'User role updated successfully',
+      data: user
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error updating user role',
+      error: error.message
+    });
+  }
+};
+
+// Shared by the activate and deactivate endpoints
+const setUserActive = async (req, res, isActive) => {
+  try {
+    if (!isActive && req.params.id === req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot deactivate your own account'
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { isActive },
+      { new: true }
+    ).select('-password');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Sign the user out everywhere so the change takes effect now
+    if (!isActive) {
+      await revokeUserSessions(user._id);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `User ${isActive ? 'activated' : 'deactivated'} successfully`,
+      data: user
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: `Error ${isActive ? 'activating' : 'deactivating'} user`,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Reactivate a user account
+// @route   PUT /api/auth/users/:id/activate
+// @access  Private/Staff
+exports.activateUser = (req, res) => setUserActive(req, res, true);
+
+// @desc    Deactivate a user account
+// @route   PUT /api/auth/users/:id/deactivate
+// @access  Private/Staff
+exports.deactivateUser = (req, res) => setUserActive(req, res, false);
+
+// @desc    Lift a login lockout on a user's account
+// @route   POST /api/auth/users/:id/unlock
+// @access  Private/Staff
+exports.unlockUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await unlockAccount(user.email);
+
+    res.status(200).json({
+      success: true,
+      message: 'User account unlocked successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error unlocking user',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete user
+// @route   DELETE /api/auth/users/:id
+// @access  Private/Staff
+exports.deleteUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Orders are financial records and must keep their customer, so
+    // anyone with orders is anonymised rather than removed
+    if (await Order.exists({ user: user._id })) {
+      const { ordersAnonymised } = await eraseUser(user._id, { actor: req.user._id });
+
+      return res.status(200).json({
+        success: true,
+        message: 'User has orders, so their personal data was erased and the account closed',
+        data: { ordersAnonymised }
+      });
+    }
+
+    await user.deleteOne();
+    await Cart.deleteOne({ user: user._id });
+    await revokeUserSessions(user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'User deleted successfully'
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting user',
+      error: error.message
+    });
+  }
+};
@@ -1,9 +1,32 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { hasPermission } = require('../config/permissions');
+const { authenticateApiKey } = require('../services/apiKeyService');
+const HttpError = require('../utils/HttpError');
+
+// Access tokens are short-lived; the client renews them with its refresh token
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+
+// Access tokens belong to a session, so logging out or revoking the
+// session cuts them off straight away rather than when they expire
+const sessionIsActive = (sessionId) => Session.exists({ _id: sessionId, revokedAt: null });
+
+// API keys carry staff permissions but are not a customer, so they are
+// only accepted where a permission check follows (protectWithApiKey and
+// optionalProtect)
+const rejectApiKey = (res) => res.status(403).json({
+  success: false,
+  message: 'API keys can only be used on endpoints that require a permission'
+});
 
 // Protect routes - check if user is logged in
 exports.protect = async (req, res, next) => {
   try {
+    if (req.headers['x-api-key']) {
+      return rejectApiKey(res);
+    }
+
     let token;
 
     // Check if token exists in Authorization header
@@ -23,6 +46,13 @@ exports.protect = async (req, res, next) => {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+      if (!decoded.sid || !(await sessionIsActive(decoded.sid))) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has ended. Please login again.'
+        });
+      }
+
       // Get user from token (exclude password)
       req.user = await User.findById(decoded.id).select('-password');
 
@@ -33,6 +63,22 @@ exports.protect = async (req, res, next) => {
         });
       }
 
+      if (!req.user.isActive) {
+        return res.status(403).json({
+          success: false,
+          message: 'Your account has been deactivated'
+        });
+      }
+
+      // Tokens issued before a password change are no longer valid
+      if (req.user.changedPasswordAfter(decoded.iat)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Password was changed. Please login again.'
+        });
+      }
+
+      req.sessionId = decoded.sid;
       next();
     } catch (error) {
       return res.status(401).json({
@@ -48,21 +94,92 @@ exports.protect = async (req, res, next) => {
   }
 };
 
-// Check if user is admin
-exports.admin = (req, res, next) => {
-  if (req.user && req.user.role === 'admin') {
+// Authenticate the X-API-Key header as req.user, replying with an error
+// if the key is not valid
+const authenticateKey = async (req, res, next) => {
+  try {
+    req.user = await authenticateApiKey(req.headers['x-api-key'], req.ip);
+    next();
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error in authentication'
+    });
+  }
+};
+
+// Like protect, but integrations may authenticate with an API key
+// instead of a login. Only use it in front of requirePermission.
+exports.protectWithApiKey = async (req, res, next) => {
+  if (!req.headers['x-api-key']) {
+    return exports.protect(req, res, next);
+  }
+
+  return authenticateKey(req, res, next);
+};
+
+// Identify the user if a valid token is sent, but let anonymous requests
+// through (e.g. guest checkout and guest order lookups). API keys are
+// accepted too; the handlers behind it check permissions themselves.
+exports.optionalProtect = async (req, res, next) => {
+  if (req.headers['x-api-key']) {
+    return authenticateKey(req, res, next);
+  }
+
+  try {
+    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+      const token = req.headers.authorization.split(' ')[1];
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      if (decoded.sid && await sessionIsActive(decoded.sid)) {
+        const user = await User.findById(decoded.id).select('-password');
+        req.user = user && user.isActive && !user.changedPasswordAfter(decoded.iat) ? user : undefined;
+        req.sessionId = req.user ? decoded.sid : undefined;
+      }
+    }
+  } catch (error) {
+    // An invalid or expired token is treated as no token
+    req.user = undefined;
+  }
+
+  next();
+};
+
+// Allow the request only if the user's role grants every listed permission
+exports.requirePermission = (...permissions) => (req, res, next) => {
+  if (permissions.every((permission) => hasPermission(req.user, permission))) {
     next();
   } else {
     res.status(403).json({
       success: false,
-      message: 'Not authorized as admin'
+      message: 'Not authorized to perform this action'
     });
   }
 };
 
-// Generate JWT token
-exports.generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: '30d' // Token expires in 30 days
+// Block checkout until the email is verified, when the store requires it.
+// Browsing and account pages stay available.
+exports.requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION !== 'true' || (req.user && req.user.emailVerified)) {
+    return next();
+  }
+
+  res.status(403).json({
+    success: false,
+    message: 'Please verify your email address before checking out',
+    code: 'EMAIL_NOT_VERIFIED'
+  });
+};
+
+// Generate a short-lived access token for a user's session
+exports.generateToken = (id, sessionId) => {
+  return jwt.sign({ id, sid: sessionId.toString() }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL
   });
 };
\ No newline at end of file
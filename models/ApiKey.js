@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+const { PERMISSIONS } = require('../config/permissions');
+
+// Key for a server-to-server integration (POS, accounting). Only the hash
+// of the key is stored; the key itself is shown once when created.
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please name the API key'],
+    trim: true,
+    maxlength: 100
+  },
+  prefix: {
+    type: String,
+    required: true // First characters of the key, so staff can tell keys apart
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  permissions: {
+    type: [{ type: String, enum: PERMISSIONS }],
+    validate: [(value) => value.length > 0, 'Please grant at least one permission']
+  },
+  allowedIps: [{
+    type: String,
+    trim: true // Empty means any address may use the key
+  }],
+  expiresAt: Date,
+  revokedAt: Date,
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
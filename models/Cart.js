@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+const cartSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  items: [{
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    variant: mongoose.Schema.Types.ObjectId, // Empty for products without variants
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    price: Number, // Price the shopper last saw, used to flag changes
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Cart', cartSchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// A product category. Products refer to it by slug, so the slug stays
+// fixed once products use it; the display name can change freely.
+const categorySchema = new mongoose.Schema({
+  slug: {
+    type: String,
+    required: [true, 'Please add a slug'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Slug may only contain lowercase letters, numbers and dashes']
+  },
+  name: {
+    type: String,
+    required: [true, 'Please add a category name'],
+    trim: true
+  },
+  description: String,
+  image: {
+    url: String,
+    publicId: String // For Supabase or other storage
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  // Set for subcategories
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+categorySchema.index({ parent: 1, sortOrder: 1, name: 1 });
+
+module.exports = mongoose.model('Category', categorySchema);
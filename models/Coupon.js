@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const Category = require('./Category');
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Please add a coupon code'],
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  description: String,
+  discountType: {
+    type: String,
+    required: true,
+    enum: ['percentage', 'fixed']
+  },
+  value: {
+    type: Number,
+    required: [true, 'Please add a discount value'],
+    min: 0
+  },
+  maxDiscount: Number, // Cap for percentage discounts
+  minSpend: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Restrictions - when set, only matching items are discounted
+  categories: [{
+    type: String,
+    trim: true,
+    lowercase: true,
+    validate: {
+      validator: (slug) => Category.exists({ slug }).then(Boolean),
+      message: 'Unknown category "{VALUE}"'
+    }
+  }],
+  products: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  usageLimit: {
+    type: Number, // Total redemptions allowed, empty for unlimited
+    min: 1
+  },
+  perUserLimit: {
+    type: Number, // Redemptions per customer, empty for unlimited
+    min: 1,
+    default: 1
+  },
+  usedCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  startsAt: Date,
+  expiresAt: Date,
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Percentages can't exceed 100%
+couponSchema.pre('validate', function() {
+  if (this.discountType === 'percentage' && this.value > 100) {
+    this.invalidate('value', 'Percentage discount cannot exceed 100');
+  }
+});
+
+module.exports = mongoose.model('Coupon', couponSchema);
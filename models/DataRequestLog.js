@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Compliance record of every personal data export and erasure. Holds no
+// personal data itself, so it survives the erasure it records.
+const dataRequestLogSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['export', 'erasure'],
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User' // The customer themselves, or the staff member who acted
+  },
+  ordersAffected: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+dataRequestLogSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('DataRequestLog', dataRequestLogSchema);
@@ -1,10 +1,95 @@
 const mongoose = require('mongoose');
+const Coupon = require('./Coupon');
+const HttpError = require('../utils/HttpError');
+const { tokenMatches } = require('../utils/tokens');
+
+// Allowed status moves. Cancellation is only possible before shipping.
+const STATUS_TRANSITIONS = {
+  pending: ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
+
+const ORDER_STATUSES = Object.keys(STATUS_TRANSITIONS);
+
+const PAYMENT_METHODS = ['paystack', 'card', 'bank_transfer', 'cash_on_delivery', 'stripe'];
+
+const statusHistorySchema = new mongoose.Schema({
+  from: {
+    type: String,
+    enum: [...ORDER_STATUSES, null]
+  },
+  to: {
+    type: String,
+    enum: ORDER_STATUSES,
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User' // Empty when the system or an API key made the change
+  },
+  apiKey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey' // Set when an integration made the change
+  },
+  note: String,
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const refundSchema = new mongoose.Schema({
+  stripeRefundId: String,
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  items: [{
+    orderItem: mongoose.Schema.Types.ObjectId, // _id of the refunded orderItems entry
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    variant: mongoose.Schema.Types.ObjectId,
+    quantity: Number
+  }],
+  reason: String,
+  status: String, // Stripe refund status: pending, succeeded, failed...
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User' // Empty when the refund came from Stripe directly or an API key
+  },
+  apiKey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey' // Set when an integration issued the refund
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
 
 const orderSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
+    ref: 'User' // Empty for guest orders until the guest signs up
+  },
+  guest: {
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+    name: String,
+    phone: String
+  },
+  accessTokenHash: {
+    type: String, // Lets guests view their order without an account
+    select: false
   },
   orderItems: [{
     product: {
@@ -12,6 +97,9 @@ const orderSchema = new mongoose.Schema({
       ref: 'Product',
       required: false // Made optional since we store product details
     },
+    variant: mongoose.Schema.Types.ObjectId, // _id in the product's variants
+    variantLabel: String,
+    sku: String,
     name: {
       type: String,
       required: true
@@ -25,19 +113,39 @@ const orderSchema = new mongoose.Schema({
       type: Number,
       required: true
     },
-    image: String
+    image: String,
+    discount: {
+      type: Number, // This line's share of the coupon discount
+      default: 0
+    },
+    taxRate: {
+      type: Number, // Percentage applied, 0 for exempt items
+      default: 0
+    },
+    tax: {
+      type: Number,
+      default: 0
+    },
+    refundedQuantity: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
   }],
   shippingAddress: {
     street: { type: String, required: true },
     city: { type: String, required: true },
     state: { type: String, required: true },
     zipCode: { type: String, required: false, default: '00000' },
-    country: { type: String, default: 'USA' }
+    country: { type: String, default: 'USA' },
+    phone: String,
+    deliveryInstructions: String,
+    addressId: mongoose.Schema.Types.ObjectId // Address book entry it was copied from
   },
   paymentMethod: {
     type: String,
     required: true,
-    enum: ['paystack', 'card', 'bank_transfer', 'cash_on_delivery', 'stripe']
+    enum: PAYMENT_METHODS
   },
   paymentResult: {
     id: String,
@@ -45,6 +153,15 @@ const orderSchema = new mongoose.Schema({
     update_time: String,
     email_address: String
   },
+  paymentFailures: [{
+    paymentIntentId: String,
+    code: String,
+    message: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   stripeSessionId: {
     type: String
   },
@@ -53,6 +170,17 @@ const orderSchema = new mongoose.Schema({
     required: true,
     default: 0.0
   },
+  coupon: {
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    },
+    code: String
+  },
+  discountPrice: {
+    type: Number,
+    default: 0.0
+  },
   shippingPrice: {
     type: Number,
     required: true,
@@ -63,6 +191,15 @@ const orderSchema = new mongoose.Schema({
     required: true,
     default: 0.0
   },
+  taxDetails: {
+    jurisdiction: String, // Name of the tax rate used
+    rate: Number
+  },
+  deliveryEstimate: {
+    zone: String, // Shipping zone the address fell into
+    minDays: Number,
+    maxDays: Number
+  },
   totalPrice: {
     type: Number,
     required: true,
@@ -80,13 +217,108 @@ const orderSchema = new mongoose.Schema({
     default: false
   },
   deliveredAt: Date,
+  stockReserved: {
+    type: Boolean,
+    default: false
+  },
+  reservationExpiresAt: Date, // Unpaid orders release their stock after this
   status: {
     type: String,
-    enum: ['pending', 'processing', 'shipped', 'delivered', 'cancelled'],
+    enum: ORDER_STATUSES,
     default: 'pending'
+  },
+  statusHistory: [statusHistorySchema],
+  refunds: [refundSchema],
+  refundedAmount: {
+    type: Number,
+    default: 0
   }
 }, {
   timestamps: true
 });
 
+// Every order belongs to a user or carries a guest's email
+orderSchema.pre('validate', function() {
+  if (!this.user && !(this.guest && this.guest.email)) {
+    this.invalidate('user', 'Order must belong to a user or include a guest email');
+  }
+});
+
+// Record the initial status so the history is complete
+orderSchema.pre('save', function() {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ from: null, to: this.status });
+  }
+});
+
+// Cancelled orders hand their coupon use back
+orderSchema.post('save', async function() {
+  if (!this.$locals.cancelled) {
+    return;
+  }
+  this.$locals.cancelled = false;
+
+  if (this.coupon && this.coupon.coupon) {
+    await Coupon.updateOne(
+      { _id: this.coupon.coupon, usedCount: { $gt: 0 } },
+      { $inc: { usedCount: -1 } }
+    );
+  }
+});
+
+// Check whether the order may move to the given status
+orderSchema.methods.canTransitionTo = function(status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Move the order to a new status and record who did it and why.
+// Throws 400 for unknown statuses and 409 for illegal moves.
+orderSchema.methods.transitionTo = function(status, { actor, apiKey, note } = {}) {
+  if (!ORDER_STATUSES.includes(status)) {
+    throw new HttpError(400, `Invalid status. Must be one of: ${ORDER_STATUSES.join(', ')}`);
+  }
+
+  if (!this.canTransitionTo(status)) {
+    throw new HttpError(409, `Cannot change order status from ${this.status} to ${status}`, {
+      from: this.status,
+      to: status,
+      allowed: STATUS_TRANSITIONS[this.status]
+    });
+  }
+
+  this.statusHistory.push({ from: this.status, to: status, actor, apiKey, note });
+  this.status = status;
+
+  if (status === 'cancelled') {
+    this.$locals.cancelled = true;
+  }
+
+  if (status === 'delivered') {
+    this.isDelivered = true;
+    this.deliveredAt = Date.now();
+  }
+
+  return this;
+};
+
+// Load an order if the token is its guest access token, otherwise null
+orderSchema.statics.findWithAccessToken = async function(id, token) {
+  if (!token || !mongoose.isValidObjectId(id)) {
+    return null;
+  }
+
+  const order = await this.findById(id).select('+accessTokenHash');
+  return order && tokenMatches(token, order.accessTokenHash) ? order : null;
+};
+
+orderSchema.statics.STATUSES = ORDER_STATUSES;
+orderSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+orderSchema.statics.PAYMENT_METHODS = PAYMENT_METHODS;
+
+// Index for the unpaid reservation sweeper
+orderSchema.index({ stockReserved: 1, reservationExpiresAt: 1 });
+
+// Index for linking guest orders when the guest signs up
+orderSchema.index({ 'guest.email': 1 });
+
 module.exports = mongoose.model('Order', orderSchema);
\ No newline at end of file
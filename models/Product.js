@@ -1,4 +1,40 @@
 const mongoose = require('mongoose');
+const Category = require('./Category');
+
+// One purchasable size or pack of a product, e.g. a 5kg bag of garri
+const variantSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: [true, 'Please add a variant label'],
+    trim: true
+  },
+  sku: {
+    type: String,
+    required: [true, 'Please add a variant SKU'],
+    trim: true,
+    uppercase: true
+  },
+  price: {
+    type: Number,
+    required: [true, 'Please add a variant price'],
+    min: 0
+  },
+  stock: {
+    type: Number,
+    required: true,
+    default: 0,
+    min: 0
+  },
+  weight: {
+    value: Number,
+    unit: String // kg, lb, g, oz
+  },
+  image: String, // Falls back to the product's first image
+  isDefault: {
+    type: Boolean,
+    default: false
+  }
+});
 
 const productSchema = new mongoose.Schema({
   name: {
@@ -15,11 +51,17 @@ const productSchema = new mongoose.Schema({
     required: [true, 'Please add a price'],
     min: 0
   },
-category: {
-  type: String,
-  required: [true, 'Please add a category'],
-  enum: ['grains', 'spices', 'vegetables', 'meats', 'snacks', 'beverages', 'oils', 'flours', 'specialities', 'others']
-},
+  // Slug of a Category document
+  category: {
+    type: String,
+    required: [true, 'Please add a category'],
+    trim: true,
+    lowercase: true,
+    validate: {
+      validator: (slug) => Category.exists({ slug }).then(Boolean),
+      message: 'Unknown category "{VALUE}"'
+    }
+  },
   stock: {
     type: Number,
     required: true,
@@ -48,6 +90,13 @@ category: {
     type: Boolean,
     default: false
   },
+  // Sizes or packs the product is sold in. When present, the product's
+  // price and stock mirror them (default variant's price, total stock).
+  variants: [variantSchema],
+  priceRange: {
+    min: Number,
+    max: Number
+  },
   rating: {
     average: {
       type: Number,
@@ -66,5 +115,101 @@ category: {
 
 // Index for search optimization
 productSchema.index({ name: 'text', description: 'text' });
+productSchema.index({ 'variants.sku': 1 }, { unique: true, sparse: true });
+productSchema.index({ brand: 1 });
+productSchema.index({ origin: 1 });
+
+// Keep the product-level summary fields in line with its variants
+productSchema.pre('validate', function() {
+  if (this.variants.length > 0) {
+    const skus = this.variants.map((variant) => String(variant.sku || '').trim().toUpperCase());
+    if (new Set(skus).size !== skus.length) {
+      this.invalidate('variants', 'Each variant must have a different SKU');
+    }
+
+    // Exactly one default variant; the first one unless chosen
+    const chosen = this.variants.find((variant) => variant.isDefault) || this.variants[0];
+    this.variants.forEach((variant) => {
+      variant.isDefault = variant === chosen;
+    });
+
+    this.price = chosen.price;
+    this.stock = this.variants.reduce((sum, variant) => sum + (variant.stock || 0), 0);
+    this.inStock = this.stock > 0;
+  }
+
+  if (this.price != null) {
+    const prices = this.variants.length > 0
+      ? this.variants.map((variant) => variant.price)
+      : [this.price];
+    this.priceRange = { min: Math.min(...prices), max: Math.max(...prices) };
+  }
+});
+
+// Replace the variant list with `incoming`, keeping the ids of variants
+// that match an existing one by _id or SKU. Carts and open orders point
+// at variant ids, so an edit must never quietly give a variant a new one.
+// Returns the ids of variants that were dropped.
+productSchema.methods.mergeVariants = function(incoming) {
+  const merged = incoming.map((input) => {
+    const { _id, ...fields } = input || {};
+    const sku = fields.sku ? String(fields.sku).trim().toUpperCase() : null;
+    const match = this.variants.find((variant) =>
+      (_id && variant._id.toString() === String(_id)) || (sku && variant.sku === sku)
+    );
+    return match ? { ...match.toObject(), ...fields, _id: match._id } : fields;
+  });
+
+  const kept = new Set(merged.filter((variant) => variant._id).map((variant) => variant._id.toString()));
+  const removed = this.variants
+    .filter((variant) => !kept.has(variant._id.toString()))
+    .map((variant) => variant._id);
+
+  this.variants = merged;
+  return removed;
+};
+
+// The variant a cart or order line refers to: the one asked for, or the
+// default when none is given. Null for products without variants, and
+// undefined when the id doesn't belong to this product.
+productSchema.methods.resolveVariant = function(variantId) {
+  if (this.variants.length === 0) {
+    return variantId ? undefined : null;
+  }
+  if (!variantId) {
+    return this.variants.find((variant) => variant.isDefault) || this.variants[0];
+  }
+  return this.variants.find((variant) => variant._id.toString() === variantId.toString());
+};
+
+// What a shopper is buying for a given variant (or the product itself
+// when it has none): name, price, stock, weight and image
+productSchema.methods.purchaseDetails = function(variant) {
+  const productImage = this.images && this.images.length > 0 ? this.images[0].url : '';
+
+  if (!variant) {
+    return {
+      variant: undefined,
+      name: this.name,
+      price: this.price,
+      stock: this.stock,
+      available: this.inStock && this.stock > 0,
+      weight: this.weight,
+      image: productImage
+    };
+  }
+
+  return {
+    variant: variant._id,
+    variantLabel: variant.label,
+    sku: variant.sku,
+    name: `${this.name} - ${variant.label}`,
+    price: variant.price,
+    stock: variant.stock,
+    available: variant.stock > 0,
+    weight: variant.weight && variant.weight.value ? variant.weight : this.weight,
+    image: variant.image || productImage
+  };
+};
 
-module.exports = mongoose.model('Product', productSchema);
\ No newline at end of file
+module.exports = mongoose.model('Product', productSchema);
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const Product = require('./Product');
+
+const REVIEW_STATUSES = ['pending', 'approved', 'hidden'];
+
+const reviewSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order' // The delivered order that qualified the customer to review
+  },
+  rating: {
+    type: Number,
+    required: [true, 'Please add a star rating'],
+    min: 1,
+    max: 5,
+    validate: [Number.isInteger, 'Rating must be a whole number of stars']
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 120
+  },
+  body: {
+    type: String,
+    trim: true,
+    maxlength: 2000
+  },
+  photos: {
+    type: [{ url: String }],
+    validate: [(value) => value.length <= 5, 'A review can have up to 5 photos']
+  },
+  // Only approved reviews are shown and counted in the product's rating
+  status: {
+    type: String,
+    enum: REVIEW_STATUSES,
+    default: 'approved'
+  },
+  moderation: {
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    apiKey: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ApiKey' // Set instead of actor when an integration moderated
+    },
+    note: String,
+    at: Date
+  }
+}, {
+  timestamps: true
+});
+
+// One review per customer per product
+reviewSchema.index({ product: 1, user: 1 }, { unique: true });
+reviewSchema.index({ product: 1, status: 1, createdAt: -1 });
+
+// Recompute a product's rating from its approved reviews
+reviewSchema.statics.updateProductRating = async function(productId) {
+  const [summary] = await this.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(String(productId)), status: 'approved' } },
+    { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]);
+
+  await Product.updateOne(
+    { _id: productId },
+    {
+      $set: {
+        'rating.average': summary ? Math.round(summary.average * 10) / 10 : 0,
+        'rating.count': summary ? summary.count : 0
+      }
+    }
+  );
+};
+
+// Any saved or deleted review can change the product's rating
+reviewSchema.post('save', async function() {
+  await this.constructor.updateProductRating(this.product);
+});
+
+reviewSchema.post('deleteOne', { document: true, query: false }, async function() {
+  await this.constructor.updateProductRating(this.product);
+});
+
+reviewSchema.statics.STATUSES = REVIEW_STATUSES;
+
+module.exports = mongoose.model('Review', reviewSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// One login on one device. Each refresh swaps the refresh token for a new
+// one; the old hashes are kept so a replayed token can be recognised and
+// the whole session (token family) shut down.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  previousTokenHashes: {
+    type: [String],
+    default: []
+  },
+  userAgent: String,
+  ip: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'reuse_detected', 'password_reset']
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ previousTokenHashes: 1 });
+// Drop sessions from the database once they can no longer be refreshed
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Whether the session can still be used
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// Delivery area matched by state or zip prefix, with its own pricing
+const shippingZoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a zone name'],
+    trim: true
+  },
+  states: [{
+    type: String, // Two-letter state codes
+    uppercase: true,
+    trim: true
+  }],
+  zipPrefixes: [{
+    type: String,
+    trim: true
+  }],
+  isDefault: {
+    type: Boolean, // Catch-all for addresses no other zone matches
+    default: false
+  },
+  flatFee: {
+    type: Number,
+    required: [true, 'Please add a delivery fee'],
+    min: 0
+  },
+  freeDeliveryThreshold: {
+    type: Number, // Spend at or above this waives the flat fee, empty for never
+    min: 0
+  },
+  weightSurcharges: [{
+    minWeightKg: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    fee: {
+      type: Number,
+      required: true,
+      min: 0
+    }
+  }],
+  estimatedDays: {
+    min: {
+      type: Number,
+      default: 3,
+      min: 0
+    },
+    max: {
+      type: Number,
+      default: 5,
+      min: 0
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('ShippingZone', shippingZoneSchema);
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// Whether products in a category are taxed. Categories without an entry
+// are taxable, so only exemptions (e.g. grocery staples) need one.
+const taxCategorySchema = new mongoose.Schema({
+  category: {
+    type: String,
+    required: [true, 'Please add a category'],
+    unique: true,
+    trim: true,
+    lowercase: true
+  },
+  taxable: {
+    type: Boolean,
+    default: true
+  },
+  note: String
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('TaxCategory', taxCategorySchema);
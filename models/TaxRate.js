@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const { normalizeCountry } = require('../utils/usStates');
+
+// Sales tax rate for a state, optionally narrowed to a zip prefix
+const taxRateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a name for this rate'],
+    trim: true
+  },
+  country: {
+    type: String,
+    default: 'USA',
+    uppercase: true,
+    trim: true,
+    set: normalizeCountry // "US" and "United States" are stored as "USA"
+  },
+  state: {
+    type: String, // Two-letter state code, e.g. TX
+    required: [true, 'Please add a state'],
+    uppercase: true,
+    trim: true
+  },
+  zipPrefix: {
+    type: String, // Local rate for zip codes starting with this, empty for state-wide
+    default: '',
+    trim: true
+  },
+  rate: {
+    type: Number, // Percentage, e.g. 8.25
+    required: [true, 'Please add a rate'],
+    min: 0,
+    max: 100
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+taxRateSchema.index({ country: 1, state: 1, zipPrefix: 1 }, { unique: true });
+
+module.exports = mongoose.model('TaxRate', taxRateSchema);
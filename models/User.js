@@ -1,5 +1,33 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ROLES } = require('../config/permissions');
+
+// A saved delivery address in the customer's address book
+const addressSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  street: { type: String, required: true, trim: true },
+  city: { type: String, required: true, trim: true },
+  state: { type: String, required: true, trim: true },
+  zipCode: { type: String, trim: true },
+  country: { type: String, default: 'USA', trim: true },
+  phone: { type: String, trim: true },
+  deliveryInstructions: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -17,10 +45,16 @@ const userSchema = new mongoose.Schema({
   },
   password: {
     type: String,
-    required: [true, 'Please add a password'],
+    // Accounts created through Google sign-in have no password
+    required: [function() { return !this.googleId; }, 'Please add a password'],
     minlength: 6,
     select: false // Don't return password by default
   },
+  googleId: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
   phone: {
     type: String,
     trim: true
@@ -31,14 +65,31 @@ const userSchema = new mongoose.Schema({
     state: String,
     zipCode: String
   },
+  addresses: [addressSchema],
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    enum: ROLES,
     default: 'user'
   },
   isActive: {
     type: Boolean,
     default: true
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: Date,
+  erasedAt: Date, // Personal data removed on request; the record stays for order history
+  verificationSentAt: Date, // Throttles resend requests
+  passwordChangedAt: Date,
+  passwordResetTokenHash: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
   }
 }, {
   timestamps: true // Adds createdAt and updatedAt automatically
@@ -55,8 +106,20 @@ userSchema.pre('save', async function() {
   this.password = await bcrypt.hash(this.password, salt);
 });
 
+// Check whether a JWT issued at `issuedAt` (seconds) predates the last
+// password change, in which case it must no longer be accepted
+userSchema.methods.changedPasswordAfter = function(issuedAt) {
+  if (!this.passwordChangedAt) {
+    return false;
+  }
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > issuedAt;
+};
+
 // Method to compare passwords
 userSchema.methods.comparePassword = async function(enteredPassword) {
+  if (!this.password) {
+    return false;
+  }
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
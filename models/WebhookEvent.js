@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Stripe webhook events we have seen, so redelivered events are skipped
+const webhookEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'processed'],
+    default: 'processing'
+  },
+  processedAt: Date
+}, {
+  timestamps: true
+});
+
+// Stripe stops retrying after three days. Records are kept for 30 days
+// so events resent by hand from the dashboard are still recognised.
+webhookEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
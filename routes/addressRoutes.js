@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getAddresses,
+  createAddress,
+  updateAddress,
+  setDefaultAddress,
+  deleteAddress
+} = require('../controllers/addressController');
+const { protect } = require('../middleware/auth');
+
+// All routes are protected (need login)
+router.get('/', protect, getAddresses);
+router.post('/', protect, createAddress);
+router.put('/:id', protect, updateAddress);
+router.put('/:id/default', protect, setDefaultAddress);
+router.delete('/:id', protect, deleteAddress);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getApiKeys,
+  createApiKey,
+  updateApiKey,
+  revokeApiKey
+} = require('../controllers/apiKeyController');
+const { protect, requirePermission } = require('../middleware/auth');
+
+// All API key management is staff only. Plain protect, so keys can't
+// be used to mint or change other keys.
+router.get('/', protect, requirePermission('apikeys:manage'), getApiKeys);
+router.post('/', protect, requirePermission('apikeys:manage'), createApiKey);
+router.put('/:id', protect, requirePermission('apikeys:manage'), updateApiKey);
+router.delete('/:id', protect, requirePermission('apikeys:manage'), revokeApiKey);
+
+module.exports = router;
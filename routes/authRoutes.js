@@ -1,103 +1,59 @@
 const express = require('express');
 const router = express.Router();
-const User = require('../models/User');
-const { signup, login, getMe, updateProfile } = require('../controllers/authController');
-const { protect, admin } = require('../middleware/auth');
+const {
+  signup,
+  login,
+  googleLogin,
+  getMe,
+  updateProfile,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  refreshToken,
+  logout,
+  getSessions,
+  deleteSession
+} = require('../controllers/authController');
+const {
+  getUsers,
+  getUserDetails,
+  updateUserRole,
+  activateUser,
+  deactivateUser,
+  unlockUser,
+  deleteUser
+} = require('../controllers/userController');
+const { exportMyData, eraseMyAccount } = require('../controllers/privacyController');
+const { protect, protectWithApiKey, requirePermission } = require('../middleware/auth');
 
 // Public routes
 router.post('/signup', signup);
 router.post('/login', login);
+router.post('/google', googleLogin);
+router.post('/forgot-password', forgotPassword);
+router.post('/reset-password', resetPassword);
+router.post('/verify-email', verifyEmail);
+router.post('/refresh', refreshToken);
+router.post('/logout', logout);
 
 // Protected routes (need token)
 router.get('/me', protect, getMe);
 router.put('/profile', protect, updateProfile);
-
-// Admin routes - Get all users
-router.get('/users', protect, admin, async (req, res) => {
-  try {
-    const users = await User.find().select('-password').sort({ createdAt: -1 });
-    
-    res.json({
-      success: true,
-      count: users.length,
-      data: users
-    });
-  } catch (error) {
-    console.error('Error fetching users:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error fetching users',
-      error: error.message
-    });
-  }
-});
-
-// Admin routes - Update user role
-router.put('/users/:id/role', protect, admin, async (req, res) => {
-  try {
-    const { role } = req.body;
-    
-    if (!['user', 'admin'].includes(role)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid role. Must be "user" or "admin"'
-      });
-    }
-
-    const user = await User.findByIdAndUpdate(
-      req.params.id,
-      { role },
-      { new: true }
-    ).select('-password');
-
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
-    }
-
-    res.json({
-      success: true,
-      message: 'User role updated successfully',
-      data: user
-    });
-  } catch (error) {
-    console.error('Error updating user role:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error updating user role',
-      error: error.message
-    });
-  }
-});
-
-// Admin routes - Delete user
-router.delete('/users/:id', protect, admin, async (req, res) => {
-  try {
-    const user = await User.findById(req.params.id);
-
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
-    }
-
-    await user.deleteOne();
-
-    res.json({
-      success: true,
-      message: 'User deleted successfully'
-    });
-  } catch (error) {
-    console.error('Error deleting user:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error deleting user',
-      error: error.message
-    });
-  }
-});
-
-module.exports = router;
\ No newline at end of file
+router.get('/me/export', protect, exportMyData);
+router.delete('/me', protect, eraseMyAccount);
+router.post('/resend-verification', protect, resendVerification);
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions/:id', protect, deleteSession);
+
+// Staff routes - Manage customer accounts. Changes need a login: API
+// keys can read accounts but never hold users:manage.
+router.get('/users', protectWithApiKey, requirePermission('users:read'), getUsers);
+router.get('/users/:id', protectWithApiKey, requirePermission('users:read'), getUserDetails);
+router.put('/users/:id/role', protect, requirePermission('users:manage'), updateUserRole);
+router.put('/users/:id/activate', protect, requirePermission('users:manage'), activateUser);
+router.put('/users/:id/deactivate', protect, requirePermission('users:manage'), deactivateUser);
+router.post('/users/:id/unlock', protect, requirePermission('users:manage'), unlockUser);
+router.delete('/users/:id', protect, requirePermission('users:manage'), deleteUser);
+
+module.exports = router;
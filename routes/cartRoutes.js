@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getCart,
+  addToCart,
+  updateCartItem,
+  removeCartItem,
+  clearCart
+} = require('../controllers/cartController');
+const { protect } = require('../middleware/auth');
+
+// All routes are protected (need login)
+router.get('/', protect, getCart);
+router.delete('/', protect, clearCart);
+router.post('/items', protect, addToCart);
+router.put('/items/:itemId', protect, updateCartItem);
+router.delete('/items/:itemId', protect, removeCartItem);
+
+module.exports = router;
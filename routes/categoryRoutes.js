@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getCategories,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  syncCategories
+} = require('../controllers/categoryController');
+const { protectWithApiKey, requirePermission } = require('../middleware/auth');
+
+// Public routes
+router.get('/', getCategories);
+
+// Staff routes
+router.post('/', protectWithApiKey, requirePermission('products:write'), createCategory);
+router.post('/sync', protectWithApiKey, requirePermission('products:write'), syncCategories);
+router.put('/:id', protectWithApiKey, requirePermission('products:write'), updateCategory);
+router.delete('/:id', protectWithApiKey, requirePermission('products:write'), deleteCategory);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getCoupons,
+  getCoupon,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon,
+  validateCoupon
+} = require('../controllers/couponController');
+const { protect, protectWithApiKey, requirePermission } = require('../middleware/auth');
+
+// Shopper routes
+router.post('/validate', protect, validateCoupon);
+
+// Staff routes
+router.get('/', protectWithApiKey, requirePermission('coupons:write'), getCoupons);
+router.get('/:id', protectWithApiKey, requirePermission('coupons:write'), getCoupon);
+router.post('/', protectWithApiKey, requirePermission('coupons:write'), createCoupon);
+router.put('/:id', protectWithApiKey, requirePermission('coupons:write'), updateCoupon);
+router.delete('/:id', protectWithApiKey, requirePermission('coupons:write'), deleteCoupon);
+
+module.exports = router;
@@ -2,24 +2,32 @@ const express = require('express');
 const router = express.Router();
 const {
   createOrder,
+  createGuestOrder,
   getMyOrders,
   getOrderById,
   getAllOrders,
   updateOrderStatus,
-  updateOrderToPaid
+  updateOrderToPaid,
+  cancelOrder,
+  refundOrder
 } = require('../controllers/orderController');
-const { protect, admin } = require('../middleware/auth');
+const { protect, protectWithApiKey, optionalProtect, requirePermission, requireVerifiedEmail } = require('../middleware/auth');
 
-// All routes are protected (need login)
-router.post('/', protect, createOrder);
+// Guest checkout (no login)
+router.post('/guest', createGuestOrder);
+
+// Protected routes (need login, or a guest order token for viewing)
+router.post('/', protect, requireVerifiedEmail, createOrder);
 router.get('/myorders', protect, getMyOrders);
-router.get('/:id', protect, getOrderById);
+router.get('/:id', optionalProtect, getOrderById);
+router.put('/:id/cancel', protect, cancelOrder);
 
-// Admin routes
-router.get('/', protect, admin, getAllOrders);
-router.put('/:id/status', protect, admin, updateOrderStatus);
+// Staff routes
+router.get('/', protectWithApiKey, requirePermission('orders:read'), getAllOrders);
+router.put('/:id/status', protectWithApiKey, requirePermission('orders:fulfil'), updateOrderStatus);
+router.post('/:id/refund', protectWithApiKey, requirePermission('orders:refund'), refundOrder);
 
-// Payment update (can be user or payment webhook)
-router.put('/:id/pay', protect, updateOrderToPaid);
+// Record an offline payment (cash on delivery, bank transfer)
+router.put('/:id/pay', protectWithApiKey, requirePermission('orders:fulfil'), updateOrderToPaid);
 
 module.exports = router;
\ No newline at end of file
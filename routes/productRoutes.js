@@ -1,23 +1,52 @@
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
 const {
   getAllProducts,
+  getSuggestions,
   getProduct,
   createProduct,
   updateProduct,
   deleteProduct,
-  getProductsByCategory
+  getProductsByCategory,
+  importProducts,
+  exportProducts
 } = require('../controllers/productController');
-const { protect, admin } = require('../middleware/auth');
+const { getProductReviews } = require('../controllers/reviewController');
+const { protectWithApiKey, requirePermission } = require('../middleware/auth');
+
+// Catalogue files are small enough to read in memory
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }
+}).single('file');
+
+const uploadImportFile = (req, res, next) => {
+  importUpload(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error instanceof multer.MulterError ? `Upload failed: ${error.message}` : error.message
+      });
+    }
+    next();
+  });
+};
+
+// Admin export, ahead of /:id so "export" isn't read as an id
+router.get('/export', protectWithApiKey, requirePermission('products:write'), exportProducts);
 
 // Public routes
 router.get('/', getAllProducts);
+router.get('/suggest', getSuggestions);
 router.get('/:id', getProduct);
+router.get('/:id/reviews', getProductReviews);
 router.get('/category/:category', getProductsByCategory);
 
 // Protected routes (Admin only)
-router.post('/', protect, admin, createProduct);
-router.put('/:id', protect, admin, updateProduct);
-router.delete('/:id', protect, admin, deleteProduct);
+router.post('/', protectWithApiKey, requirePermission('products:write'), createProduct);
+router.post('/import', protectWithApiKey, requirePermission('products:write'), uploadImportFile, importProducts);
+router.put('/:id', protectWithApiKey, requirePermission('products:write'), updateProduct);
+router.delete('/:id', protectWithApiKey, requirePermission('products:write'), deleteProduct);
 
 module.exports = router;
\ No newline at end of file
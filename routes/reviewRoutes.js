@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createReview,
+  updateReview,
+  deleteReview,
+  getReviews,
+  moderateReview
+} = require('../controllers/reviewController');
+const { protect, protectWithApiKey, requirePermission } = require('../middleware/auth');
+
+// Customer routes (public listing lives at /api/products/:id/reviews)
+router.post('/', protect, createReview);
+router.put('/:id', protect, updateReview);
+router.delete('/:id', protect, deleteReview);
+
+// Staff routes
+router.get('/', protectWithApiKey, requirePermission('reviews:moderate'), getReviews);
+router.put('/:id/moderate', protectWithApiKey, requirePermission('reviews:moderate'), moderateReview);
+
+module.exports = router;
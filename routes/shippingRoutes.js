@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getShippingQuote,
+  getShippingZones,
+  createShippingZone,
+  updateShippingZone,
+  deleteShippingZone
+} = require('../controllers/shippingController');
+const { protectWithApiKey, optionalProtect, requirePermission } = require('../middleware/auth');
+
+// Public routes
+router.post('/quote', optionalProtect, getShippingQuote);
+
+// Staff routes
+router.get('/zones', protectWithApiKey, requirePermission('settings:write'), getShippingZones);
+router.post('/zones', protectWithApiKey, requirePermission('settings:write'), createShippingZone);
+router.put('/zones/:id', protectWithApiKey, requirePermission('settings:write'), updateShippingZone);
+router.delete('/zones/:id', protectWithApiKey, requirePermission('settings:write'), deleteShippingZone);
+
+module.exports = router;
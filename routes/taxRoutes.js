@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getTaxRates,
+  createTaxRate,
+  updateTaxRate,
+  deleteTaxRate,
+  getTaxCategories,
+  setCategoryTaxable
+} = require('../controllers/taxController');
+const { protectWithApiKey, requirePermission } = require('../middleware/auth');
+
+// All tax settings are staff only
+router.get('/rates', protectWithApiKey, requirePermission('settings:write'), getTaxRates);
+router.post('/rates', protectWithApiKey, requirePermission('settings:write'), createTaxRate);
+router.put('/rates/:id', protectWithApiKey, requirePermission('settings:write'), updateTaxRate);
+router.delete('/rates/:id', protectWithApiKey, requirePermission('settings:write'), deleteTaxRate);
+
+router.get('/categories', protectWithApiKey, requirePermission('settings:write'), getTaxCategories);
+router.put('/categories/:category', protectWithApiKey, requirePermission('settings:write'), setCategoryTaxable);
+
+module.exports = router;
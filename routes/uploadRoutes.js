@@ -1,10 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const supabase = require('../config/supabase');
-const { protect, admin } = require('../middleware/auth');
+const { protectWithApiKey, requirePermission } = require('../middleware/auth');
 
 // POST /api/upload - Upload image to Supabase
-router.post('/', protect, admin, async (req, res) => {
+router.post('/', protectWithApiKey, requirePermission('products:write'), async (req, res) => {
   try {
     const { image } = req.body;
 
@@ -73,7 +73,7 @@ router.post('/', protect, admin, async (req, res) => {
 });
 
 // DELETE /api/upload - Delete image from Supabase
-router.delete('/', protect, admin, async (req, res) => {
+router.delete('/', protectWithApiKey, requirePermission('products:write'), async (req, res) => {
   try {
     const { publicId } = req.body;
 
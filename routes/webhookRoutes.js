@@ -0,0 +1,121 @@
+const express = require('express');
+const router = express.Router();
+const stripe = require('../config/stripe');
+const WebhookEvent = require('../models/WebhookEvent');
+const {
+  confirmCheckoutSession,
+  expireCheckoutSession,
+  recordPaymentFailure
+} = require('../services/paymentService');
+const { syncChargeRefunds } = require('../services/refundService');
+
+// How long an event may sit in "processing" before a redelivery is
+// allowed to take it over (the handler that claimed it probably died)
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+// Apply a verified Stripe event
+const handleEvent = async (event) => {
+  switch (event.type) {
+    case 'checkout.session.completed': {
+      const result = await confirmCheckoutSession(event.data.object);
+      console.log(`Checkout session ${event.data.object.id}:`, result.confirmed ? 'confirmed' : result.reason);
+      break;
+    }
+
+    case 'checkout.session.expired': {
+      // Shopper abandoned checkout - give the stock back
+      const order = await expireCheckoutSession(event.data.object);
+      if (order) {
+        console.log('Checkout session expired, stock released for order:', order._id.toString());
+      }
+      break;
+    }
+
+    case 'charge.refunded': {
+      // Refunds issued from the Stripe dashboard or by the refund API
+      const order = await syncChargeRefunds(event.data.object);
+      if (order) {
+        console.log('Refunds synced for order:', order._id.toString());
+      }
+      break;
+    }
+
+    case 'payment_intent.payment_failed': {
+      const order = await recordPaymentFailure(event.data.object);
+      console.log('Payment failed:', event.data.object.id, order ? `(order ${order._id})` : '');
+      break;
+    }
+
+    default:
+      console.log(`Unhandled event type: ${event.type}`);
+  }
+};
+
+// POST /api/payments/webhook (Stripe webhook)
+// Mounted before express.json() so the signature is checked against the raw body
+router.post('/', express.raw({ type: 'application/json' }), async (req, res) => {
+  const sig = req.headers['stripe-signature'];
+  const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
+
+  let event;
+
+  try {
+    event = stripe.webhooks.constructEvent(req.body, sig, webhookSecret);
+  } catch (err) {
+    console.error('Webhook signature verification failed:', err.message);
+    return res.status(400).send(`Webhook Error: ${err.message}`);
+  }
+
+  // Record the event id first; a duplicate key means Stripe redelivered it
+  try {
+    await WebhookEvent.create({ eventId: event.id, type: event.type });
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+
+    const existing = await WebhookEvent.findOne({ eventId: event.id });
+
+    if (!existing || existing.status === 'processed') {
+      console.log(`Skipping duplicate webhook event: ${event.id}`);
+      return res.json({ received: true, duplicate: true });
+    }
+
+    // Still marked processing: either another delivery is handling it
+    // right now, or the process died part way. Take over records that
+    // have been stuck long enough; otherwise let Stripe retry later.
+    const takenOver = await WebhookEvent.findOneAndUpdate(
+      {
+        eventId: event.id,
+        status: 'processing',
+        updatedAt: { $lte: new Date(Date.now() - STALE_PROCESSING_MS) }
+      },
+      { $set: { updatedAt: new Date() } },
+      { new: true, timestamps: false }
+    );
+
+    if (!takenOver) {
+      console.log(`Webhook event ${event.id} is already being processed`);
+      return res.status(409).json({ received: false });
+    }
+
+    console.warn(`Retrying webhook event ${event.id} left unfinished by an earlier delivery`);
+  }
+
+  try {
+    await handleEvent(event);
+    await WebhookEvent.updateOne(
+      { eventId: event.id },
+      { status: 'processed', processedAt: new Date() }
+    );
+  } catch (error) {
+    // Forget the event so Stripe's retry gets processed
+    await WebhookEvent.deleteOne({ eventId: event.id });
+    console.error(`Webhook ${event.type} handling failed:`, error);
+    return res.status(500).json({ received: false });
+  }
+
+  res.json({ received: true });
+});
+
+module.exports = router;
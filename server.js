@@ -1,16 +1,50 @@
 const express = require('express');
 const dotenv = require('dotenv');
-const cors = require('cors');
-const connectDB = require('./config/database');
 
-// Load environment variables
+// Load environment variables before any module reads them
 dotenv.config();
 
+const cors = require('cors');
+const connectDB = require('./config/database');
+const { startReservationSweeper } = require('./services/stockService');
+const { migrateCategories } = require('./services/categoryService');
+
 // Initialize app
 const app = express();
 
-// Connect to database
-connectDB();
+// Behind a load balancer req.ip is the proxy's address unless Express is
+// told which hops to trust. Login throttling and API key IP allowlists key
+// on req.ip, so set TRUST_PROXY in those deployments to the number of
+// proxies in front of the app (e.g. "1") or their addresses/subnets (e.g.
+// "loopback, 10.0.0.0/8"). "true" trusts any X-Forwarded-For, which lets
+// clients pick their own address, so only use it when nothing else works.
+const parseTrustProxy = (value) => {
+  if (value === undefined || value === '' || value === 'false') {
+    return false;
+  }
+  if (value === 'true') {
+    return true;
+  }
+  return /^\d+$/.test(value) ? Number(value) : value;
+};
+
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
+if (app.get('trust proxy') === true) {
+  console.warn('TRUST_PROXY=true lets clients spoof their IP; API key IP allowlists cannot be relied on');
+}
+
+// Connect to database, then make sure every product's category exists
+connectDB()
+  .then(migrateCategories)
+  .catch((error) => console.error('Category migration failed:', error));
+
+// Release stock held by orders that were never paid
+startReservationSweeper();
+
+// Stripe webhook needs the raw request body to verify its signature,
+// so it's mounted before the JSON parser
+app.use('/api/payments/webhook', require('./routes/webhookRoutes'));
 
 // Middleware
 app.use(express.json({ limit: '50mb' })); // Increased limit for image uploads
@@ -22,15 +56,23 @@ app.use(cors({
   ],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Order-Token']
 }));
 
 // Routes
 app.use('/api/auth', require('./routes/authRoutes'));
 app.use('/api/products', require('./routes/productRoutes'));
+app.use('/api/categories', require('./routes/categoryRoutes'));
 app.use('/api/orders', require('./routes/orderRoutes'));
 app.use('/api/upload', require('./routes/uploadRoutes'));
 app.use('/api/payments', require('./routes/paymentRoutes'));
+app.use('/api/coupons', require('./routes/couponRoutes'));
+app.use('/api/tax', require('./routes/taxRoutes'));
+app.use('/api/shipping', require('./routes/shippingRoutes'));
+app.use('/api/cart', require('./routes/cartRoutes'));
+app.use('/api/addresses', require('./routes/addressRoutes'));
+app.use('/api/api-keys', require('./routes/apiKeyRoutes'));
+app.use('/api/reviews', require('./routes/reviewRoutes'));
 
 // Home route
 app.get('/', (req, res) => {
@@ -0,0 +1,94 @@
+const HttpError = require('../utils/HttpError');
+const { normalizeState, normalizeCountry } = require('../utils/usStates');
+
+const US_ZIP_PATTERN = /^\d{5}(-\d{4})?$/;
+const PHONE_PATTERN = /^\+?[\d\s().-]{7,20}$/;
+
+const clean = (value) => (value == null ? '' : String(value).trim());
+
+// Validate an address from the request and return it cleaned up. Checkout
+// and the address book share these rules. Throws a 400 listing every
+// field that needs fixing.
+exports.normalizeAddress = (input, { requireLabel = false } = {}) => {
+  if (!input || typeof input !== 'object') {
+    throw new HttpError(400, 'Please provide a shipping address');
+  }
+
+  const address = {
+    // Older clients send the street line as `address`
+    street: clean(input.street || input.address),
+    city: clean(input.city),
+    state: normalizeState(input.state),
+    zipCode: clean(input.zipCode),
+    country: normalizeCountry(input.country) || 'USA',
+    phone: clean(input.phone),
+    deliveryInstructions: clean(input.deliveryInstructions)
+  };
+
+  const errors = {};
+
+  if (requireLabel) {
+    address.label = clean(input.label);
+    if (!address.label) {
+      errors.label = 'Please give this address a name';
+    } else if (address.label.length > 50) {
+      errors.label = 'Name must be 50 characters or fewer';
+    }
+  }
+
+  if (!address.street) {
+    errors.street = 'Street address is required';
+  }
+  if (!address.city) {
+    errors.city = 'City is required';
+  }
+  if (!address.state) {
+    errors.state = 'State is required';
+  }
+  if (address.zipCode && address.country === 'USA' && !US_ZIP_PATTERN.test(address.zipCode)) {
+    errors.zipCode = 'Please provide a valid ZIP code';
+  }
+  if (address.phone && !PHONE_PATTERN.test(address.phone)) {
+    errors.phone = 'Please provide a valid phone number';
+  }
+  if (address.deliveryInstructions.length > 500) {
+    errors.deliveryInstructions = 'Delivery instructions must be 500 characters or fewer';
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw new HttpError(400, 'Please check the address', errors);
+  }
+
+  // Leave optional fields unset rather than empty
+  ['zipCode', 'phone', 'deliveryInstructions'].forEach((key) => {
+    if (!address[key]) {
+      delete address[key];
+    }
+  });
+
+  return address;
+};
+
+// Work out the address an order ships to: a saved address picked by
+// `addressId`, or one typed in at checkout. Either way the order gets its
+// own copy, so later edits to the address book don't rewrite history.
+exports.resolveShippingAddress = ({ addressId, shippingAddress, user }) => {
+  if (!addressId) {
+    return exports.normalizeAddress(shippingAddress);
+  }
+
+  if (!user) {
+    throw new HttpError(400, 'Please sign in to use a saved address');
+  }
+
+  const saved = user.addresses && user.addresses.id(addressId);
+
+  if (!saved) {
+    throw new HttpError(404, 'Saved address not found');
+  }
+
+  return {
+    ...exports.normalizeAddress(saved.toObject()),
+    addressId: saved._id
+  };
+};
@@ -0,0 +1,64 @@
+const ApiKey = require('../models/ApiKey');
+const HttpError = require('../utils/HttpError');
+const { createOpaqueToken, hashToken } = require('../utils/tokens');
+
+const KEY_PREFIX = 'femty_';
+
+// Skip the last-used write if the key was used this recently
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+// Express reports IPv4 callers as IPv4-mapped IPv6 addresses
+const normalizeIp = (ip) => String(ip || '').replace(/^::ffff:/, '');
+
+// Create a key and return it with its record. The plain key is only
+// available here; afterwards we hold just its hash.
+exports.createApiKey = async ({ name, permissions, allowedIps, expiresAt, createdBy }) => {
+  const { token } = createOpaqueToken();
+  const key = `${KEY_PREFIX}${token}`;
+
+  const apiKey = await ApiKey.create({
+    name,
+    prefix: key.slice(0, KEY_PREFIX.length + 8),
+    keyHash: hashToken(key),
+    permissions,
+    allowedIps: (allowedIps || []).map(normalizeIp),
+    expiresAt,
+    createdBy
+  });
+
+  return { key, apiKey };
+};
+
+// Check a key sent with a request and return the service principal it
+// acts as. The principal stands in for req.user, carrying the key's own
+// permissions instead of a role.
+exports.authenticateApiKey = async (key, ip) => {
+  const apiKey = await ApiKey.findOne({ keyHash: hashToken(key) });
+  const now = new Date();
+
+  if (!apiKey || apiKey.revokedAt || (apiKey.expiresAt && apiKey.expiresAt <= now)) {
+    throw new HttpError(401, 'Invalid, expired or revoked API key');
+  }
+
+  // `ip` is req.ip, which is only the caller's address when TRUST_PROXY
+  // matches the proxies in front of the app (see server.js)
+  const callerIp = normalizeIp(ip);
+
+  if (apiKey.allowedIps.length > 0 && !apiKey.allowedIps.includes(callerIp)) {
+    throw new HttpError(403, 'API key is not allowed from this address');
+  }
+
+  if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt > LAST_USED_RESOLUTION_MS || apiKey.lastUsedIp !== callerIp) {
+    await ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: now, lastUsedIp: callerIp });
+  }
+
+  return {
+    _id: apiKey._id,
+    id: apiKey._id.toString(),
+    name: `API key: ${apiKey.name}`,
+    role: 'service',
+    permissions: apiKey.permissions,
+    isActive: true,
+    isServiceAccount: true
+  };
+};
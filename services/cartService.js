@@ -0,0 +1,98 @@
+const Cart = require('../models/Cart');
+const Product = require('../models/Product');
+const { roundMoney } = require('../utils/money');
+
+// Find the shopper's cart, creating an empty one on first use
+exports.getOrCreateCart = async (userId) => {
+  const existing = await Cart.findOne({ user: userId });
+  if (existing) {
+    return existing;
+  }
+
+  try {
+    return await Cart.create({ user: userId, items: [] });
+  } catch (error) {
+    // Another request created it first
+    if (error.code === 11000) {
+      return Cart.findOne({ user: userId });
+    }
+    throw error;
+  }
+};
+
+// Check every line against the current catalog. Flags lines whose price
+// changed since the shopper last saw it or that can't be fulfilled, then
+// remembers the current prices so each change is reported once.
+exports.revalidateCart = async (cart) => {
+  const products = await Product.find({ _id: { $in: cart.items.map((item) => item.product) } });
+  const productsById = new Map(products.map((product) => [product._id.toString(), product]));
+
+  const items = cart.items.map((item) => {
+    const product = productsById.get(item.product.toString());
+
+    // A removed variant makes the line unavailable, like a removed product
+    const variant = product && product.resolveVariant(item.variant);
+
+    if (!product || variant === undefined) {
+      return {
+        itemId: item._id,
+        product: item.product,
+        variant: item.variant,
+        quantity: item.quantity,
+        unavailable: true,
+        outOfStock: true
+      };
+    }
+
+    const details = product.purchaseDetails(variant);
+    const priceChanged = item.price != null && item.price !== details.price;
+    const line = {
+      itemId: item._id,
+      product: product._id,
+      variant: details.variant,
+      variantLabel: details.variantLabel,
+      name: details.name,
+      image: details.image,
+      price: details.price,
+      quantity: item.quantity,
+      lineTotal: roundMoney(details.price * item.quantity),
+      available: details.stock,
+      priceChanged,
+      previousPrice: priceChanged ? item.price : undefined,
+      outOfStock: !details.available,
+      insufficientStock: details.stock > 0 && details.stock < item.quantity
+    };
+
+    item.price = details.price;
+    return line;
+  });
+
+  if (cart.isModified()) {
+    await cart.save();
+  }
+
+  const purchasable = items.filter((line) => !line.unavailable && !line.outOfStock && !line.insufficientStock);
+
+  return {
+    items,
+    itemCount: items.reduce((sum, line) => sum + line.quantity, 0),
+    subtotal: roundMoney(purchasable.reduce((sum, line) => sum + line.lineTotal, 0)),
+    hasIssues: items.some((line) => line.priceChanged || line.unavailable || line.outOfStock || line.insufficientStock)
+  };
+};
+
+// Lines in the shape checkout expects, or null if the cart is empty
+exports.getCheckoutItems = async (userId) => {
+  const cart = await Cart.findOne({ user: userId });
+
+  if (!cart || cart.items.length === 0) {
+    return null;
+  }
+
+  return cart.items.map((item) => ({ product: item.product, variant: item.variant, quantity: item.quantity }));
+};
+
+// Empty the cart once its contents have been ordered
+exports.clearCart = async (userId) => {
+  await Cart.updateOne({ user: userId }, { $set: { items: [] } });
+};
@@ -0,0 +1,153 @@
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+const Coupon = require('../models/Coupon');
+const TaxCategory = require('../models/TaxCategory');
+const HttpError = require('../utils/HttpError');
+
+// "Frozen Foods & Ice" -> "frozen-foods-ice"
+exports.slugify = (text) => String(text || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+// Number of products in each category slug
+const productCounts = async () => {
+  const counts = await Product.aggregate([
+    { $group: { _id: '$category', count: { $sum: 1 } } }
+  ]);
+  return new Map(counts.map((entry) => [entry._id, entry.count]));
+};
+
+// All categories nested under their parents, in display order. Each node
+// carries the products filed directly under it and the total including
+// its subcategories.
+exports.getCategoryTree = async () => {
+  const [categories, counts] = await Promise.all([
+    Category.find().sort('sortOrder name').lean(),
+    productCounts()
+  ]);
+
+  const nodes = new Map(categories.map((category) => [category._id.toString(), {
+    ...category,
+    productCount: counts.get(category.slug) || 0,
+    children: []
+  }]));
+
+  const roots = [];
+  nodes.forEach((node) => {
+    const parent = node.parent && nodes.get(node.parent.toString());
+    (parent ? parent.children : roots).push(node);
+  });
+
+  const addTotals = (node) => {
+    node.totalProductCount = node.children.reduce((sum, child) => sum + addTotals(child), node.productCount);
+    return node.totalProductCount;
+  };
+  roots.forEach(addTotals);
+
+  return roots;
+};
+
+// The slug plus the slugs of every subcategory beneath it, so browsing
+// "grains" also lists products filed under "grains-rice"
+exports.categoryAndDescendantSlugs = async (slug) => {
+  const category = await Category.findOne({ slug }).select('_id slug');
+  if (!category) {
+    return [slug];
+  }
+
+  const slugs = [category.slug];
+  let parents = [category._id];
+
+  while (parents.length > 0) {
+    const children = await Category.find({ parent: { $in: parents } }).select('_id slug');
+    slugs.push(...children.map((child) => child.slug));
+    parents = children.map((child) => child._id);
+  }
+
+  return slugs;
+};
+
+// What still refers to a category by its slug, e.g. ['products', 'coupons']
+exports.slugReferences = async (slug) => {
+  const [products, coupons, taxSettings] = await Promise.all([
+    Product.exists({ category: slug }),
+    Coupon.exists({ categories: slug }),
+    TaxCategory.exists({ category: slug })
+  ]);
+
+  return [
+    products && 'products',
+    coupons && 'coupons',
+    taxSettings && 'tax settings'
+  ].filter(Boolean);
+};
+
+// A parent must exist and must not be the category itself or one of its
+// own subcategories
+exports.assertValidParent = async (category, parentId) => {
+  if (!parentId) {
+    return null;
+  }
+
+  const parent = await Category.findById(parentId);
+  if (!parent) {
+    throw new HttpError(400, 'Parent category not found');
+  }
+
+  if (category && !category.isNew) {
+    let ancestor = parent;
+    while (ancestor) {
+      if (ancestor._id.equals(category._id)) {
+        throw new HttpError(400, 'A category cannot be placed under itself or one of its subcategories');
+      }
+      ancestor = ancestor.parent ? await Category.findById(ancestor.parent) : null;
+    }
+  }
+
+  return parent;
+};
+
+// The fixed list Product.category used to be limited to
+const LEGACY_CATEGORIES = [
+  'grains', 'spices', 'vegetables', 'meats', 'snacks', 'beverages', 'oils', 'flours', 'specialities', 'others'
+];
+
+const titleCase = (slug) => slug
+  .split('-')
+  .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+  .join(' ');
+
+// Create a category for every slug products already use. Safe to run again.
+exports.syncCategoriesFromProducts = async () => {
+  const [used, existing] = await Promise.all([
+    Product.distinct('category'),
+    Category.distinct('slug')
+  ]);
+
+  const missing = used.filter((slug) => slug && !existing.includes(slug));
+
+  const created = await Category.insertMany(missing.map((slug) => ({ slug, name: titleCase(slug) })));
+
+  return created;
+};
+
+// Startup migration from the old hard-coded enum. The first time it runs
+// (no categories yet) it seeds the former enum values in their old order;
+// every run then adds any slug products use that has no category, since
+// products can't be saved until their category exists.
+exports.migrateCategories = async () => {
+  if (!(await Category.exists({}))) {
+    await Category.insertMany(LEGACY_CATEGORIES.map((slug, index) => ({
+      slug,
+      name: titleCase(slug),
+      sortOrder: index
+    })));
+    console.log(`Seeded ${LEGACY_CATEGORIES.length} product categories`);
+  }
+
+  const created = await exports.syncCategoriesFromProducts();
+  if (created.length > 0) {
+    console.log(`Created ${created.length} categor${created.length === 1 ? 'y' : 'ies'} for existing products`);
+  }
+};
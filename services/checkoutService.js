@@ -0,0 +1,212 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const { reserveStock, restock } = require('./stockService');
+const { applyCoupon, redeemCoupon, releaseCouponUse } = require('./couponService');
+const { calculateTax } = require('./taxService');
+const { quoteShipping, toKilograms } = require('./shippingService');
+const HttpError = require('../utils/HttpError');
+const { roundMoney, toCents } = require('../utils/money');
+
+// Accept the id under the keys the frontend cart has used
+const getProductId = (item) => item.product || item.productId || item._id || item.id;
+const getVariantId = (item) => item.variant || item.variantId;
+
+// Merge duplicate lines for the same product and variant, and validate
+// ids and quantities
+const normalizeItems = (items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new HttpError(400, 'No items provided');
+  }
+
+  const quantities = new Map();
+
+  for (const item of items) {
+    const productId = getProductId(item || {});
+    const variantId = getVariantId(item || {});
+    const quantity = Number(item && item.quantity);
+
+    if (!productId || !mongoose.isValidObjectId(productId)) {
+      throw new HttpError(400, 'Each item must include a valid product id');
+    }
+
+    if (variantId && !mongoose.isValidObjectId(variantId)) {
+      throw new HttpError(400, 'Variant id is not valid');
+    }
+
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new HttpError(400, 'Each item must include a quantity of at least 1');
+    }
+
+    const key = `${productId}:${variantId || ''}`;
+    const existing = quantities.get(key);
+    quantities.set(key, {
+      productId: productId.toString(),
+      variantId: variantId ? variantId.toString() : null,
+      quantity: (existing ? existing.quantity : 0) + quantity
+    });
+  }
+
+  return [...quantities.values()];
+};
+
+// Load every product in the cart and price it from the catalog.
+// Client-supplied names, prices and images are ignored.
+exports.priceItems = async (items) => {
+  const requested = normalizeItems(items);
+
+  const products = await Product.find({
+    _id: { $in: requested.map((item) => item.productId) }
+  });
+  const productsById = new Map(products.map((product) => [product._id.toString(), product]));
+
+  const lines = requested.map(({ productId, variantId, quantity }) => {
+    const product = productsById.get(productId);
+
+    if (!product) {
+      throw new HttpError(404, `Product ${productId} not found`);
+    }
+
+    // Products with variants are bought as a specific variant
+    const variant = product.resolveVariant(variantId);
+
+    if (variant === undefined) {
+      throw new HttpError(404, `Variant ${variantId} not found for ${product.name}`);
+    }
+
+    const details = product.purchaseDetails(variant);
+
+    if (!details.available || details.stock < quantity) {
+      throw new HttpError(400, `Not enough stock for ${details.name}. Only ${details.stock} available`, {
+        product: product._id,
+        variant: details.variant,
+        available: details.stock
+      });
+    }
+
+    // Stripe charges whole cents per unit, so the order is priced the
+    // same way: round the unit price first, then multiply
+    const unitCents = toCents(details.price);
+
+    return {
+      product: product._id,
+      variant: details.variant,
+      variantLabel: details.variantLabel,
+      sku: details.sku,
+      name: details.name,
+      image: details.image,
+      category: product.category,
+      weightKg: toKilograms(details.weight),
+      price: unitCents / 100,
+      quantity,
+      lineTotal: unitCents * quantity / 100,
+      discount: 0
+    };
+  });
+
+  const itemsPrice = roundMoney(lines.reduce((sum, line) => sum + line.lineTotal, 0));
+
+  return { lines, itemsPrice };
+};
+
+// Price a cart, apply any coupon, then add tax and delivery for the
+// shipping address, producing everything needed for an order
+exports.buildQuote = async (items, { couponCode, userId, email, shippingAddress } = {}) => {
+  const { lines, itemsPrice } = await exports.priceItems(items);
+
+  let coupon = null;
+  let discountPrice = 0;
+  if (couponCode) {
+    ({ coupon, discount: discountPrice } = await applyCoupon(couponCode, { lines, itemsPrice, userId, email }));
+  }
+
+  const { taxPrice, jurisdiction, rate } = await calculateTax(lines, shippingAddress);
+  const delivery = await quoteShipping(lines, shippingAddress, itemsPrice - discountPrice);
+  const shippingPrice = delivery.shippingPrice;
+
+  return {
+    lines,
+    coupon,
+    taxDetails: { jurisdiction, rate },
+    delivery,
+    itemsPrice,
+    discountPrice,
+    shippingPrice,
+    taxPrice,
+    totalPrice: roundMoney(itemsPrice - discountPrice + shippingPrice + taxPrice)
+  };
+};
+
+// Reserve stock, take a coupon use and save the order for a quote.
+// Anything already taken is handed back if a later step fails.
+exports.placeOrder = async (quote, fields) => {
+  await reserveStock(quote.lines);
+
+  if (quote.coupon) {
+    try {
+      await redeemCoupon(quote.coupon);
+    } catch (error) {
+      await restock(quote.lines);
+      throw error;
+    }
+  }
+
+  try {
+    return await Order.create({
+      ...fields,
+      orderItems: quote.lines.map((line) => ({
+        product: line.product,
+        variant: line.variant,
+        variantLabel: line.variantLabel,
+        sku: line.sku,
+        name: line.name,
+        quantity: line.quantity,
+        price: line.price,
+        image: line.image,
+        discount: line.discount,
+        taxRate: line.taxRate,
+        tax: line.tax
+      })),
+      coupon: quote.coupon ? { coupon: quote.coupon._id, code: quote.coupon.code } : undefined,
+      itemsPrice: quote.itemsPrice,
+      discountPrice: quote.discountPrice,
+      shippingPrice: quote.shippingPrice,
+      taxPrice: quote.taxPrice,
+      taxDetails: quote.taxDetails,
+      deliveryEstimate: {
+        zone: quote.delivery.zone,
+        minDays: quote.delivery.estimatedDays.min,
+        maxDays: quote.delivery.estimatedDays.max
+      },
+      totalPrice: quote.totalPrice,
+      stockReserved: true
+    });
+  } catch (error) {
+    await restock(quote.lines);
+    await releaseCouponUse(quote.coupon && quote.coupon._id);
+    throw error;
+  }
+};
+
+// Line-by-line summary the frontend can compare against its cart
+exports.toBreakdown = (quote) => ({
+  items: quote.lines.map((line) => ({
+    product: line.product,
+    variant: line.variant,
+    name: line.name,
+    unitPrice: line.price,
+    quantity: line.quantity,
+    lineTotal: line.lineTotal,
+    discount: line.discount,
+    taxRate: line.taxRate,
+    tax: line.tax
+  })),
+  couponCode: quote.coupon ? quote.coupon.code : null,
+  itemsPrice: quote.itemsPrice,
+  discountPrice: quote.discountPrice,
+  shippingPrice: quote.shippingPrice,
+  taxPrice: quote.taxPrice,
+  taxJurisdiction: quote.taxDetails.jurisdiction,
+  delivery: quote.delivery,
+  totalPrice: quote.totalPrice
+});
@@ -0,0 +1,130 @@
+const Coupon = require('../models/Coupon');
+const Order = require('../models/Order');
+const HttpError = require('../utils/HttpError');
+const { roundMoney } = require('../utils/money');
+
+// Lines the coupon applies to; unrestricted coupons cover the whole cart
+const eligibleLines = (coupon, lines) => {
+  const products = (coupon.products || []).map((id) => id.toString());
+  // Coupons saved before categories were lowercased may hold "Grains"
+  const categories = (coupon.categories || []).map((slug) => slug.toLowerCase());
+
+  if (products.length === 0 && categories.length === 0) {
+    return lines;
+  }
+
+  return lines.filter((line) =>
+    products.includes(line.product.toString()) || categories.includes(line.category)
+  );
+};
+
+// Check dates, limits and minimum spend for this shopper and cart.
+// Guests are identified by email for the per-customer limit.
+const assertUsable = async (coupon, { itemsPrice, userId, email }, now = new Date()) => {
+  if (!coupon || !coupon.isActive) {
+    throw new HttpError(400, 'Invalid coupon code');
+  }
+
+  if (coupon.startsAt && coupon.startsAt > now) {
+    throw new HttpError(400, 'This coupon is not active yet');
+  }
+
+  if (coupon.expiresAt && coupon.expiresAt <= now) {
+    throw new HttpError(400, 'This coupon has expired');
+  }
+
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+    throw new HttpError(400, 'This coupon has reached its usage limit');
+  }
+
+  if (coupon.minSpend && itemsPrice < coupon.minSpend) {
+    throw new HttpError(400, `Spend at least $${coupon.minSpend.toFixed(2)} to use this coupon`);
+  }
+
+  const customers = [];
+  if (userId) {
+    customers.push({ user: userId });
+  }
+  if (email) {
+    customers.push({ 'guest.email': String(email).toLowerCase() });
+  }
+
+  if (coupon.perUserLimit && customers.length > 0) {
+    const used = await Order.countDocuments({
+      $or: customers,
+      'coupon.coupon': coupon._id,
+      status: { $ne: 'cancelled' }
+    });
+
+    if (used >= coupon.perUserLimit) {
+      throw new HttpError(400, 'You have already used this coupon');
+    }
+  }
+};
+
+// Work out the discount for a priced cart and spread it across the
+// eligible lines, so refunds can give back each line's discounted price.
+// Mutates `lines`, setting `discount` on each.
+exports.applyCoupon = async (code, { lines, itemsPrice, userId, email }) => {
+  const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase() });
+
+  await assertUsable(coupon, { itemsPrice, userId, email });
+
+  const eligible = eligibleLines(coupon, lines);
+  const eligibleTotal = roundMoney(eligible.reduce((sum, line) => sum + line.lineTotal, 0));
+
+  if (eligibleTotal <= 0) {
+    throw new HttpError(400, 'This coupon does not apply to any items in your cart');
+  }
+
+  let discount = coupon.discountType === 'percentage'
+    ? eligibleTotal * coupon.value / 100
+    : coupon.value;
+
+  if (coupon.maxDiscount) {
+    discount = Math.min(discount, coupon.maxDiscount);
+  }
+  discount = roundMoney(Math.min(discount, eligibleTotal));
+
+  // Proportional split, with rounding leftovers on the last line
+  let allocated = 0;
+  lines.forEach((line) => {
+    line.discount = 0;
+  });
+  eligible.forEach((line, index) => {
+    line.discount = index === eligible.length - 1
+      ? roundMoney(discount - allocated)
+      : roundMoney(discount * line.lineTotal / eligibleTotal);
+    allocated = roundMoney(allocated + line.discount);
+  });
+
+  return { coupon, discount };
+};
+
+// Take one use of the coupon, failing if the global limit was hit meanwhile
+exports.redeemCoupon = async (coupon) => {
+  const filter = { _id: coupon._id, isActive: true };
+  if (coupon.usageLimit) {
+    filter.usedCount = { $lt: coupon.usageLimit };
+  }
+
+  const redeemed = await Coupon.findOneAndUpdate(filter, { $inc: { usedCount: 1 } }, { new: true });
+
+  if (!redeemed) {
+    throw new HttpError(409, 'This coupon has reached its usage limit');
+  }
+
+  return redeemed;
+};
+
+// Hand a use back, e.g. when the order is cancelled
+exports.releaseCouponUse = async (couponId) => {
+  if (!couponId) {
+    return;
+  }
+
+  await Coupon.updateOne(
+    { _id: couponId, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } }
+  );
+};
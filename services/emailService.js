@@ -0,0 +1,246 @@
+const { Resend } = require('resend');
+
+// Initialize Resend
+const resend = new Resend(process.env.RESEND_API_KEY);
+
+const FROM_ADDRESS = 'Femty Grocery <onboarding@resend.dev>';
+
+// Delivery window promised at checkout, e.g. "3-5 business days"
+const deliveryWindow = (order) => {
+  const estimate = order.deliveryEstimate;
+  if (!estimate || estimate.minDays == null || estimate.maxDays == null) {
+    return '3-5 business days';
+  }
+  if (estimate.minDays === estimate.maxDays) {
+    return `${estimate.maxDays} business day${estimate.maxDays === 1 ? '' : 's'}`;
+  }
+  return `${estimate.minDays}-${estimate.maxDays} business days`;
+};
+
+// Send the order confirmation email
+exports.sendOrderConfirmationEmail = async (user, order, session) => {
+  const orderItemsHtml = order.orderItems.map(item => `
+    <tr>
+      <td style="padding: 12px; border-bottom: 1px solid #eee;">
+        ${item.name}
+      </td>
+      <td style="padding: 12px; border-bottom: 1px solid #eee; text-align: center;">
+        ${item.quantity}
+      </td>
+      <td style="padding: 12px; border-bottom: 1px solid #eee; text-align: right;">
+        $${(item.price * item.quantity).toFixed(2)}
+      </td>
+    </tr>
+  `).join('');
+
+  const emailHtml = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <title>Order Confirmation</title>
+    </head>
+    <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+      <div style="background: linear-gradient(135deg, #AA4A1E 0%, #8D3A18 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+        <h1 style="color: white; margin: 0; font-size: 28px;">Order Confirmed! 🎉</h1>
+      </div>
+      
+      <div style="background: #fff; padding: 30px; border: 1px solid #eee; border-top: none;">
+        <p style="font-size: 16px;">Hi <strong>${user.name}</strong>,</p>
+        
+        <p>Thank you for your order! We're excited to get your items ready.</p>
+        
+        <div style="background: #f9f9f9; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <h3 style="margin-top: 0; color: #AA4A1E;">Order Details</h3>
+          <p><strong>Order ID:</strong> #${order._id.toString().slice(-8).toUpperCase()}</p>
+          <p><strong>Date:</strong> ${new Date().toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}</p>
+        </div>
+        
+        <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
+          <thead>
+            <tr style="background: #f5f5f5;">
+              <th style="padding: 12px; text-align: left;">Item</th>
+              <th style="padding: 12px; text-align: center;">Qty</th>
+              <th style="padding: 12px; text-align: right;">Price</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${orderItemsHtml}
+          </tbody>
+          <tfoot>
+            <tr>
+              <td colspan="2" style="padding: 12px; text-align: right;"><strong>Subtotal:</strong></td>
+              <td style="padding: 12px; text-align: right;">$${order.itemsPrice?.toFixed(2) || '0.00'}</td>
+            </tr>
+            ${order.discountPrice > 0 ? `
+            <tr>
+              <td colspan="2" style="padding: 12px; text-align: right;"><strong>Discount${order.coupon?.code ? ` (${order.coupon.code})` : ''}:</strong></td>
+              <td style="padding: 12px; text-align: right;">-$${order.discountPrice.toFixed(2)}</td>
+            </tr>
+            ` : ''}
+            <tr>
+              <td colspan="2" style="padding: 12px; text-align: right;"><strong>Delivery:</strong></td>
+              <td style="padding: 12px; text-align: right;">$${order.shippingPrice?.toFixed(2) || '0.00'}</td>
+            </tr>
+            ${order.taxPrice > 0 ? `
+            <tr>
+              <td colspan="2" style="padding: 12px; text-align: right;"><strong>Tax${order.taxDetails?.jurisdiction ? ` (${order.taxDetails.jurisdiction})` : ''}:</strong></td>
+              <td style="padding: 12px; text-align: right;">$${order.taxPrice.toFixed(2)}</td>
+            </tr>
+            ` : ''}
+            <tr style="background: #AA4A1E; color: white;">
+              <td colspan="2" style="padding: 12px; text-align: right;"><strong>Total:</strong></td>
+              <td style="padding: 12px; text-align: right;"><strong>$${order.totalPrice?.toFixed(2) || (session.amount_total / 100).toFixed(2)}</strong></td>
+            </tr>
+          </tfoot>
+        </table>
+        
+        ${order.shippingAddress ? `
+        <div style="background: #f9f9f9; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <h3 style="margin-top: 0; color: #AA4A1E;">Shipping Address</h3>
+          <p style="margin: 0;">
+            ${order.shippingAddress.street || ''}<br>
+            ${order.shippingAddress.city || ''}, ${order.shippingAddress.state || ''} ${order.shippingAddress.zipCode || ''}<br>
+            ${order.shippingAddress.country || 'USA'}
+          </p>
+        </div>
+        ` : ''}
+        
+        <div style="background: #FFF5F0; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #AA4A1E;">
+          <h3 style="margin-top: 0; color: #AA4A1E;">What's Next?</h3>
+          <ul style="margin: 0; padding-left: 20px;">
+            <li>We'll start preparing your order right away</li>
+            <li>You'll receive a notification when it ships</li>
+            <li>Delivery typically takes ${deliveryWindow(order)}</li>
+          </ul>
+        </div>
+        
+        <p>If you have any questions, feel free to contact us at <a href="mailto:contact@femtyafricangrocerystore.com" style="color: #AA4A1E;">contact@femtyafricangrocerystore.com</a></p>
+        
+        <p>Thank you for shopping with us!</p>
+        
+        <p style="margin-bottom: 0;">
+          Best regards,<br>
+          <strong style="color: #AA4A1E;">The Femty African Grocery Store Team</strong>
+        </p>
+      </div>
+      
+      <div style="text-align: center; padding: 20px; color: #888; font-size: 12px;">
+        <p>© ${new Date().getFullYear()} Femty African Grocery Store. All rights reserved.</p>
+      </div>
+    </body>
+    </html>
+  `;
+
+  await resend.emails.send({
+    from: FROM_ADDRESS,
+    to: user.email,
+    subject: `Order Confirmed! #${order._id.toString().slice(-8).toUpperCase()}`,
+    html: emailHtml,
+  });
+
+  console.log('Order confirmation email sent to:', user.email);
+};
+
+// Shared layout for account emails (password reset, verification, etc.)
+const accountEmailHtml = ({ title, name, paragraphs, button }) => `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <title>${title}</title>
+    </head>
+    <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+      <div style="background: linear-gradient(135deg, #AA4A1E 0%, #8D3A18 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+        <h1 style="color: white; margin: 0; font-size: 28px;">${title}</h1>
+      </div>
+
+      <div style="background: #fff; padding: 30px; border: 1px solid #eee; border-top: none;">
+        <p style="font-size: 16px;">Hi <strong>${name}</strong>,</p>
+
+        ${paragraphs.map((text) => `<p>${text}</p>`).join('')}
+
+        ${button ? `
+        <p style="text-align: center; margin: 30px 0;">
+          <a href="${button.url}" style="background: #AA4A1E; color: white; padding: 14px 28px; border-radius: 6px; text-decoration: none; font-weight: bold;">${button.label}</a>
+        </p>
+        <p style="font-size: 12px; color: #888;">If the button doesn't work, copy this link into your browser:<br>${button.url}</p>
+        ` : ''}
+
+        <p>If you have any questions, feel free to contact us at <a href="mailto:contact@femtyafricangrocerystore.com" style="color: #AA4A1E;">contact@femtyafricangrocerystore.com</a></p>
+
+        <p style="margin-bottom: 0;">
+          Best regards,<br>
+          <strong style="color: #AA4A1E;">The Femty African Grocery Store Team</strong>
+        </p>
+      </div>
+
+      <div style="text-align: center; padding: 20px; color: #888; font-size: 12px;">
+        <p>© ${new Date().getFullYear()} Femty African Grocery Store. All rights reserved.</p>
+      </div>
+    </body>
+    </html>
+  `;
+
+// Send the password reset link
+exports.sendPasswordResetEmail = async (user, resetUrl, expiresInMinutes) => {
+  await resend.emails.send({
+    from: FROM_ADDRESS,
+    to: user.email,
+    subject: 'Reset your Femty Grocery password',
+    html: accountEmailHtml({
+      title: 'Reset Your Password',
+      name: user.name,
+      paragraphs: [
+        'We received a request to reset the password for your account.',
+        `This link can be used once and expires in ${expiresInMinutes} minutes.`,
+        "If you didn't ask to reset your password, you can safely ignore this email."
+      ],
+      button: { url: resetUrl, label: 'Reset Password' }
+    }),
+  });
+
+  console.log('Password reset email sent to:', user.email);
+};
+
+// Send the link that confirms the account's email address
+exports.sendVerificationEmail = async (user, verifyUrl, expiresInHours) => {
+  await resend.emails.send({
+    from: FROM_ADDRESS,
+    to: user.email,
+    subject: 'Confirm your Femty Grocery email',
+    html: accountEmailHtml({
+      title: 'Confirm Your Email',
+      name: user.name,
+      paragraphs: [
+        'Thanks for signing up! Please confirm this is your email address so we can send your order updates here.',
+        `This link expires in ${expiresInHours} hours.`,
+        "If you didn't create an account, you can safely ignore this email."
+      ],
+      button: { url: verifyUrl, label: 'Confirm Email' }
+    }),
+  });
+
+  console.log('Verification email sent to:', user.email);
+};
+
+// Tell the owner their account was locked after repeated failed logins
+exports.sendAccountLockedEmail = async (user, lockoutMinutes) => {
+  await resend.emails.send({
+    from: FROM_ADDRESS,
+    to: user.email,
+    subject: 'Your Femty Grocery account was temporarily locked',
+    html: accountEmailHtml({
+      title: 'Account Temporarily Locked',
+      name: user.name,
+      paragraphs: [
+        'We noticed several failed attempts to sign in to your account, so we have paused sign-ins to keep it safe.',
+        `You can try again in ${lockoutMinutes} minutes.`,
+        "If this wasn't you, we recommend resetting your password once the lock ends."
+      ],
+      button: { url: `${process.env.FRONTEND_URL}/forgot-password`, label: 'Reset Password' }
+    }),
+  });
+
+  console.log('Account locked email sent to:', user.email);
+};
@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const HttpError = require('../utils/HttpError');
+
+const GOOGLE_ISSUERS = ['accounts.google.com', 'https://accounts.google.com'];
+const DEFAULT_JWKS_URL = 'https://www.googleapis.com/oauth2/v3/certs';
+
+// Used when the JWKS response doesn't say how long to cache it
+const DEFAULT_JWKS_CACHE_SECONDS = 60 * 60;
+
+// A JWKS source is an async function returning { keys: [...] }. `refresh`
+// asks it to skip any cache, which happens when a token names a key we
+// haven't seen (Google rotates its keys).
+
+// Fetch the key set from a URL, caching it for as long as the response allows
+exports.createRemoteJwksSource = (url = DEFAULT_JWKS_URL) => {
+  let cached = null;
+  let cachedUntil = 0;
+
+  return async ({ refresh = false } = {}) => {
+    if (cached && !refresh && Date.now() < cachedUntil) {
+      return cached;
+    }
+
+    const response = await fetch(url);
+
+    if (!response.ok) {
+      throw new Error(`Could not fetch Google signing keys (${response.status})`);
+    }
+
+    const maxAge = /max-age=(\d+)/.exec(response.headers.get('cache-control') || '');
+    cached = await response.json();
+    cachedUntil = Date.now() + (maxAge ? Number(maxAge[1]) : DEFAULT_JWKS_CACHE_SECONDS) * 1000;
+
+    return cached;
+  };
+};
+
+// A fixed key set, e.g. one generated locally in tests
+exports.createLocalJwksSource = (jwks) => async () => jwks;
+
+let jwksSource = exports.createRemoteJwksSource(process.env.GOOGLE_JWKS_URL || DEFAULT_JWKS_URL);
+
+// Swap where signing keys come from
+exports.setJwksSource = (source) => {
+  jwksSource = source;
+};
+
+// Client ids our frontends sign in with; a token for any other app is refused
+const allowedAudiences = () => String(process.env.GOOGLE_CLIENT_ID || '')
+  .split(',')
+  .map((id) => id.trim())
+  .filter(Boolean);
+
+const findKey = async (kid) => {
+  let jwks = await jwksSource();
+  let jwk = (jwks.keys || []).find((key) => key.kid === kid);
+
+  if (!jwk) {
+    jwks = await jwksSource({ refresh: true });
+    jwk = (jwks.keys || []).find((key) => key.kid === kid);
+  }
+
+  return jwk ? crypto.createPublicKey({ key: jwk, format: 'jwk' }) : null;
+};
+
+// Verify a Google ID token and return the identity it proves. Only
+// tokens with a Google-verified email are accepted, since the email is
+// what links the sign-in to an account.
+exports.verifyGoogleIdToken = async (idToken) => {
+  const audience = allowedAudiences();
+
+  if (audience.length === 0) {
+    throw new Error('GOOGLE_CLIENT_ID is not configured');
+  }
+
+  const decoded = jwt.decode(idToken, { complete: true });
+
+  if (!decoded || !decoded.header.kid) {
+    throw new HttpError(401, 'Invalid Google sign-in token');
+  }
+
+  const key = await findKey(decoded.header.kid);
+
+  if (!key) {
+    throw new HttpError(401, 'Invalid Google sign-in token');
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ['RS256'],
+      audience,
+      issuer: GOOGLE_ISSUERS
+    });
+  } catch (error) {
+    throw new HttpError(401, 'Invalid or expired Google sign-in token');
+  }
+
+  if (!claims.email || (claims.email_verified !== true && claims.email_verified !== 'true')) {
+    throw new HttpError(401, 'Your Google account email is not verified');
+  }
+
+  return {
+    googleId: claims.sub,
+    email: String(claims.email).trim().toLowerCase(),
+    name: claims.name || claims.given_name || claims.email.split('@')[0]
+  };
+};
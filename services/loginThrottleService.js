@@ -0,0 +1,119 @@
+const HttpError = require('../utils/HttpError');
+const MemoryAttemptStore = require('../utils/MemoryAttemptStore');
+const { sendAccountLockedEmail } = require('./emailService');
+
+const MINUTE_MS = 60 * 1000;
+
+// Failed logins on one account before it is locked
+const ACCOUNT_MAX_ATTEMPTS = Number(process.env.LOGIN_MAX_ATTEMPTS || 5);
+// Failed logins from one IP (across any accounts) before it is locked out
+const IP_MAX_ATTEMPTS = Number(process.env.LOGIN_IP_MAX_ATTEMPTS || 20);
+// Failures older than this are forgotten
+const ATTEMPT_WINDOW_MS = Number(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES || 15) * MINUTE_MS;
+// How long a lockout lasts
+const LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES || 15);
+// Longest progressive delay between attempts
+const MAX_DELAY_SECONDS = 30;
+
+let store = new MemoryAttemptStore();
+
+// Swap the counter store, e.g. for a shared one when running several instances
+exports.setAttemptStore = (attemptStore) => {
+  store = attemptStore;
+};
+
+const accountKey = (email) => `acct:${String(email || '').trim().toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip || 'unknown'}`;
+
+// Seconds to wait after the latest failure: nothing for the first few,
+// then doubling up to MAX_DELAY_SECONDS
+const delayFor = (failures, freeAttempts) => {
+  if (failures <= freeAttempts) {
+    return 0;
+  }
+  return Math.min(2 ** (failures - freeAttempts - 1), MAX_DELAY_SECONDS);
+};
+
+// Reject the attempt if the account or IP is locked or still inside its
+// delay. Both cases get the same message so a lockout doesn't confirm
+// that an account exists.
+exports.checkLoginAllowed = async (email, ip) => {
+  const now = Date.now();
+  let blockedUntil = 0;
+
+  for (const key of [accountKey(email), ipKey(ip)]) {
+    const [lockedUntil, waitUntil] = await Promise.all([
+      store.get(`lock:${key}`),
+      store.get(`wait:${key}`)
+    ]);
+    blockedUntil = Math.max(blockedUntil, lockedUntil, waitUntil);
+  }
+
+  if (blockedUntil > now) {
+    const retryAfter = Math.ceil((blockedUntil - now) / 1000);
+    throw new HttpError(429, 'Too many failed login attempts. Please try again later.', { retryAfter });
+  }
+};
+
+// Count a failed login against the account and the IP, applying a delay
+// or lockout once they pass their limits
+exports.recordLoginFailure = async ({ email, ip, user }) => {
+  const now = Date.now();
+  const lockoutMs = LOCKOUT_MINUTES * MINUTE_MS;
+
+  const account = accountKey(email);
+  const accountFailures = await store.increment(`fail:${account}`, ATTEMPT_WINDOW_MS);
+
+  if (accountFailures >= ACCOUNT_MAX_ATTEMPTS) {
+    await store.set(`lock:${account}`, now + lockoutMs, lockoutMs);
+    await store.delete(`fail:${account}`);
+
+    console.warn(`Login locked for ${account} after ${accountFailures} failed attempts`);
+
+    if (user && user.isActive) {
+      sendAccountLockedEmail(user, LOCKOUT_MINUTES).catch((emailError) => {
+        console.error('Error sending account locked email:', emailError);
+      });
+    }
+  } else {
+    const delayMs = delayFor(accountFailures, 1) * 1000;
+    if (delayMs > 0) {
+      await store.set(`wait:${account}`, now + delayMs, delayMs);
+    }
+  }
+
+  const address = ipKey(ip);
+  const ipFailures = await store.increment(`fail:${address}`, ATTEMPT_WINDOW_MS);
+
+  if (ipFailures >= IP_MAX_ATTEMPTS) {
+    await store.set(`lock:${address}`, now + lockoutMs, lockoutMs);
+    await store.delete(`fail:${address}`);
+
+    console.warn(`Login locked for ${address} after ${ipFailures} failed attempts`);
+  } else {
+    const delayMs = delayFor(ipFailures, 5) * 1000;
+    if (delayMs > 0) {
+      await store.set(`wait:${address}`, now + delayMs, delayMs);
+    }
+  }
+};
+
+// A successful login clears the account's failures. The IP's count is
+// kept so one known password can't reset a stuffing run.
+exports.recordLoginSuccess = async (email) => {
+  const account = accountKey(email);
+  await Promise.all([
+    store.delete(`fail:${account}`),
+    store.delete(`wait:${account}`)
+  ]);
+};
+
+// Lift a lockout on an account early
+exports.unlockAccount = async (email) => {
+  const account = accountKey(email);
+  await Promise.all([
+    store.delete(`lock:${account}`),
+    store.delete(`fail:${account}`),
+    store.delete(`wait:${account}`)
+  ]);
+};
@@ -0,0 +1,185 @@
+const Order = require('../models/Order');
+const User = require('../models/User');
+const { releaseOrderStock } = require('./stockService');
+const { issueRefund, refundUnappliedPayment } = require('./refundService');
+const { sendOrderConfirmationEmail } = require('./emailService');
+const { clearCart } = require('./cartService');
+const { toCents } = require('../utils/money');
+
+// Email failures must never undo a confirmed payment
+const sendConfirmation = async (order, session) => {
+  if (!process.env.RESEND_API_KEY) {
+    return;
+  }
+
+  try {
+    // Guests get the email at the address they checked out with
+    const recipient = order.user
+      ? await User.findById(order.user)
+      : { name: order.guest.name || 'there', email: order.guest.email };
+
+    if (recipient) {
+      await sendOrderConfirmationEmail(recipient, order, session);
+    }
+  } catch (emailError) {
+    console.error('Error sending confirmation email:', emailError);
+  }
+};
+
+// Mark the order behind a paid Checkout Session as paid. Used by both
+// the webhook and /verify-session; whichever gets there first claims the
+// order, and only that caller sends the confirmation email.
+exports.confirmCheckoutSession = async (session) => {
+  if (session.payment_status !== 'paid') {
+    return { confirmed: false, reason: 'unpaid' };
+  }
+
+  const orderId = session.metadata && session.metadata.orderId;
+  const order = orderId ? await Order.findById(orderId) : null;
+
+  if (!order) {
+    return { confirmed: false, reason: 'not_found' };
+  }
+
+  if (order.isPaid) {
+    return { confirmed: true, alreadyPaid: true, order };
+  }
+
+  // Stripe must have charged exactly what the order says
+  const expected = toCents(order.totalPrice);
+  if (session.amount_total !== expected || session.currency !== 'usd') {
+    console.error(
+      `Amount mismatch for order ${order._id}: expected ${expected} usd, received ${session.amount_total} ${session.currency}`
+    );
+
+    // The charge can't pay for this order, so the customer gets it back
+    // and the order is cancelled now rather than left for the sweeper
+    const refund = await refundUnappliedPayment(session.payment_intent, {
+      orderId: order._id,
+      reason: 'Amount charged did not match the order total',
+      idempotencyKey: `amount-mismatch-${session.id}`
+    });
+
+    const flagged = await Order.findOneAndUpdate(
+      { _id: order._id, isPaid: false, status: 'pending' },
+      {
+        $set: {
+          paymentResult: {
+            id: session.payment_intent,
+            status: 'amount_mismatch',
+            update_time: new Date().toISOString(),
+            email_address: session.customer_details?.email
+          }
+        }
+      },
+      { new: true }
+    );
+
+    if (flagged) {
+      await releaseOrderStock(flagged);
+      flagged.transitionTo('cancelled', {
+        note: `Charged ${session.amount_total / 100} ${session.currency} instead of ${expected / 100} usd; payment refunded (${refund.id})`
+      });
+      await flagged.save();
+    }
+
+    return {
+      confirmed: false,
+      reason: 'amount_mismatch',
+      order: flagged || order,
+      expected: expected / 100,
+      received: session.amount_total / 100
+    };
+  }
+
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, isPaid: false },
+    {
+      $set: {
+        isPaid: true,
+        paidAt: new Date(),
+        paymentResult: {
+          id: session.payment_intent,
+          status: session.payment_status,
+          update_time: new Date().toISOString(),
+          email_address: session.customer_details?.email
+        }
+      },
+      $unset: { reservationExpiresAt: 1 } // Paid orders keep their stock
+    },
+    { new: true }
+  );
+
+  // Someone else confirmed it between our read and write
+  if (!claimed) {
+    return { confirmed: true, alreadyPaid: true, order: await Order.findById(order._id) };
+  }
+
+  // Paid after the order was cancelled (e.g. its reservation lapsed) -
+  // the stock is gone, so the money goes back
+  if (claimed.status === 'cancelled') {
+    await issueRefund(claimed, {
+      reason: 'Payment received for a cancelled order',
+      restockItems: false
+    });
+    return { confirmed: false, reason: 'order_cancelled', order: claimed };
+  }
+
+  if (claimed.status === 'pending') {
+    claimed.transitionTo('processing', { note: 'Payment received via Stripe' });
+    await claimed.save();
+  }
+
+  // The cart was kept until payment in case checkout was abandoned
+  if (session.metadata.fromCart === 'true' && claimed.user) {
+    await clearCart(claimed.user);
+  }
+
+  await sendConfirmation(claimed, session);
+
+  return { confirmed: true, order: claimed };
+};
+
+// Abandoned Checkout Session - cancel the order and give the stock back
+exports.expireCheckoutSession = async (session) => {
+  const orderId = session.metadata && session.metadata.orderId;
+  const order = orderId ? await Order.findById(orderId) : null;
+
+  if (!order || order.isPaid || order.status !== 'pending') {
+    return null;
+  }
+
+  await releaseOrderStock(order);
+  order.transitionTo('cancelled', { note: 'Stripe checkout session expired' });
+  await order.save();
+
+  return order;
+};
+
+// Record a declined payment attempt. The order stays pending so the
+// shopper can retry until the session expires.
+exports.recordPaymentFailure = async (paymentIntent) => {
+  const orderId = paymentIntent.metadata && paymentIntent.metadata.orderId;
+  const order = orderId ? await Order.findById(orderId) : null;
+
+  if (!order || order.isPaid) {
+    return null;
+  }
+
+  const lastError = paymentIntent.last_payment_error || {};
+
+  order.paymentResult = {
+    id: paymentIntent.id,
+    status: 'failed',
+    update_time: new Date().toISOString(),
+    email_address: order.paymentResult?.email_address
+  };
+  order.paymentFailures.push({
+    paymentIntentId: paymentIntent.id,
+    code: lastError.decline_code || lastError.code,
+    message: lastError.message
+  });
+  await order.save();
+
+  return order;
+};
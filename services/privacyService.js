@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const Order = require('../models/Order');
+const Cart = require('../models/Cart');
+const DataRequestLog = require('../models/DataRequestLog');
+const Review = require('../models/Review');
+const HttpError = require('../utils/HttpError');
+const { revokeUserSessions } = require('./sessionService');
+
+// Statuses where we still need the delivery details
+const OPEN_ORDER_STATUSES = ['pending', 'processing', 'shipped'];
+
+// Orders that belong to a customer. Guest orders count only once they
+// have been linked to the account, which needs a verified email; matching
+// on `guest.email` here would let anyone who signs up with someone else's
+// address read or erase that person's orders.
+const customerOrdersQuery = (user) => ({ user: user._id });
+
+// Everything we hold about a customer, as plain JSON
+exports.exportUserData = async (userId, { actor } = {}) => {
+  const user = await User.findById(userId);
+
+  if (!user) {
+    throw new HttpError(404, 'User not found');
+  }
+
+  const [orders, cart, reviews] = await Promise.all([
+    Order.find(customerOrdersQuery(user)).sort('-createdAt').lean(),
+    Cart.findOne({ user: user._id }).lean(),
+    Review.find({ user: user._id }).select('-moderation').lean()
+  ]);
+
+  await DataRequestLog.create({
+    user: user._id,
+    type: 'export',
+    actor: actor || user._id,
+    ordersAffected: orders.length
+  });
+
+  const { addresses, ...profile } = user.toObject();
+
+  return {
+    exportedAt: new Date(),
+    profile,
+    addresses,
+    orders,
+    reviews,
+    cart: cart ? cart.items : []
+  };
+};
+
+// Remove a customer's personal data while keeping their orders as
+// financial records. The user document stays so orders still point at
+// something, but nothing on it identifies the person any more.
+exports.eraseUser = async (userId, { actor } = {}) => {
+  const user = await User.findById(userId);
+
+  if (!user) {
+    throw new HttpError(404, 'User not found');
+  }
+
+  if (user.erasedAt) {
+    throw new HttpError(409, 'This account has already been erased');
+  }
+
+  const orderQuery = customerOrdersQuery(user);
+
+  // Orders still on their way need the delivery address
+  if (await Order.exists({ ...orderQuery, status: { $in: OPEN_ORDER_STATUSES } })) {
+    throw new HttpError(409, 'There are orders still being processed. Please try again once they are delivered or cancelled.');
+  }
+
+  const placeholderEmail = `erased-${user._id}@example.com`;
+
+  // Totals, items, tax and refunds stay; who and where goes. The state
+  // and country are kept because the tax charged depended on them.
+  const result = await Order.updateMany(orderQuery, {
+    $set: {
+      'shippingAddress.street': 'Erased',
+      'shippingAddress.city': 'Erased',
+      'shippingAddress.zipCode': '00000'
+    },
+    $unset: {
+      'shippingAddress.phone': '',
+      'shippingAddress.deliveryInstructions': '',
+      'shippingAddress.addressId': '',
+      'paymentResult.email_address': ''
+    }
+  });
+
+  // Orders placed as a guest carry their own contact details
+  await Order.updateMany(
+    { ...orderQuery, 'guest.email': { $exists: true } },
+    {
+      $set: { 'guest.email': placeholderEmail },
+      $unset: { 'guest.name': '', 'guest.phone': '' }
+    }
+  );
+
+  user.name = 'Erased User';
+  user.email = placeholderEmail;
+  user.password = crypto.randomBytes(32).toString('hex'); // Nobody can sign in
+  user.googleId = undefined;
+  user.phone = undefined;
+  user.address = undefined;
+  user.addresses = [];
+  user.isActive = false;
+  user.emailVerified = false;
+  user.emailVerifiedAt = undefined;
+  user.verificationSentAt = undefined;
+  user.passwordResetTokenHash = undefined;
+  user.passwordResetExpires = undefined;
+  user.erasedAt = new Date();
+  await user.save();
+
+  await Cart.deleteOne({ user: user._id });
+  await revokeUserSessions(user._id);
+
+  // Reviews are the customer's own words; removing them one by one keeps
+  // each product's rating up to date
+  const reviews = await Review.find({ user: user._id });
+  for (const review of reviews) {
+    await review.deleteOne();
+  }
+
+  await DataRequestLog.create({
+    user: user._id,
+    type: 'erasure',
+    actor: actor || user._id,
+    ordersAffected: result.modifiedCount
+  });
+
+  return { ordersAnonymised: result.modifiedCount };
+};
@@ -0,0 +1,333 @@
+const { pipeline } = require('stream/promises');
+const Product = require('../models/Product');
+const HttpError = require('../utils/HttpError');
+const { parseCsv, toCsvLine } = require('../utils/csv');
+const { escapeRegex } = require('../utils/regex');
+
+// Columns of the import/export format. A row with a SKU is one variant
+// of the product named in it; a row without is a product sold as is.
+const COLUMNS = [
+  'sku', 'name', 'variantLabel', 'description', 'category', 'price', 'stock',
+  'unit', 'brand', 'origin', 'weightValue', 'weightUnit', 'featured', 'images'
+];
+
+// Most rows one import may contain
+const MAX_IMPORT_ROWS = Number(process.env.MAX_IMPORT_ROWS || 5000);
+
+// Several image URLs share one cell
+const IMAGE_SEPARATOR = '|';
+
+// Turn uploaded CSV text or a JSON array into rows of { line, data }.
+// JSON rows are numbered from 1 and CSV rows by their line in the file.
+exports.parseImport = (content, format) => {
+  let rows;
+
+  if (format === 'json') {
+    let parsed = content;
+    if (typeof content === 'string') {
+      try {
+        parsed = JSON.parse(content);
+      } catch (error) {
+        throw new HttpError(400, 'The file is not valid JSON');
+      }
+    }
+    if (!Array.isArray(parsed)) {
+      throw new HttpError(400, 'JSON imports must be an array of products');
+    }
+    rows = parsed.map((data, index) => ({ line: index + 1, data: data || {} }));
+  } else {
+    rows = parseCsv(content);
+  }
+
+  if (rows.length === 0) {
+    throw new HttpError(400, 'The file has no product rows');
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new HttpError(400, `Imports are limited to ${MAX_IMPORT_ROWS} rows`);
+  }
+
+  return rows;
+};
+
+// A cell counts as given unless it is empty; empty cells leave the
+// existing value alone
+const isGiven = (value) => value !== undefined && value !== null && String(value).trim() !== '';
+
+const readNumber = (row, key, errors) => {
+  if (!isGiven(row[key])) {
+    return undefined;
+  }
+  const number = Number(row[key]);
+  if (!Number.isFinite(number)) {
+    errors[key] = `${key} must be a number`;
+    return undefined;
+  }
+  return number;
+};
+
+const readText = (row, key) => (isGiven(row[key]) ? String(row[key]).trim() : undefined);
+
+// The fields a row sets, split into product-level and variant-level
+// (price, stock and weight belong to the variant when there is a SKU)
+const readRow = (row) => {
+  const errors = {};
+
+  const product = {
+    name: readText(row, 'name'),
+    description: readText(row, 'description'),
+    category: readText(row, 'category'),
+    unit: readText(row, 'unit'),
+    brand: readText(row, 'brand'),
+    origin: readText(row, 'origin')
+  };
+
+  if (isGiven(row.featured)) {
+    const featured = String(row.featured).trim().toLowerCase();
+    if (!['true', 'false', 'yes', 'no', '1', '0'].includes(featured)) {
+      errors.featured = 'featured must be true or false';
+    }
+    product.featured = ['true', 'yes', '1'].includes(featured);
+  }
+
+  if (isGiven(row.images)) {
+    const urls = Array.isArray(row.images) ? row.images : String(row.images).split(IMAGE_SEPARATOR);
+    product.images = urls
+      .map((url) => String(url).trim())
+      .filter(Boolean)
+      .map((url) => ({ url }));
+  }
+
+  const weightValue = readNumber(row, 'weightValue', errors);
+  const weightUnit = readText(row, 'weightUnit');
+
+  const variant = {
+    label: readText(row, 'variantLabel'),
+    price: readNumber(row, 'price', errors),
+    stock: readNumber(row, 'stock', errors),
+    weight: weightValue !== undefined || weightUnit !== undefined
+      ? { value: weightValue, unit: weightUnit }
+      : undefined
+  };
+
+  const strip = (fields) => Object.fromEntries(
+    Object.entries(fields).filter(([, value]) => value !== undefined)
+  );
+
+  const sku = readText(row, 'sku');
+
+  return {
+    sku: sku && sku.toUpperCase(),
+    product: strip(product),
+    variant: strip(variant),
+    errors
+  };
+};
+
+// Flatten a Mongoose ValidationError into { path: message }
+const validationErrors = (error) => Object.fromEntries(
+  Object.entries(error.errors || {}).map(([path, detail]) => [path, detail.message])
+);
+
+// Import catalogue rows, matching existing products by variant SKU or by
+// name. Rows are checked against the Product schema one at a time and
+// later rows see the changes of earlier ones, so a product can be listed
+// once per variant. With `dryRun` nothing is written and the report says
+// what would happen.
+exports.importProducts = async (rows, { dryRun = false } = {}) => {
+  // Products touched by this import, by id, so later rows build on them
+  const touched = new Map();
+  // SKUs this import has given to a product, by SKU
+  const claimedSkus = new Map();
+
+  const results = [];
+
+  for (const { line, data } of rows) {
+    const result = { line, sku: undefined, name: data.name, action: null, product: null };
+    const { sku, product: fields, variant: variantFields, errors } = readRow(data);
+    result.sku = sku;
+
+    const remember = (product) => {
+      const id = product._id.toString();
+      if (!touched.has(id)) {
+        touched.set(id, product);
+      }
+      return touched.get(id);
+    };
+
+    try {
+      // Find the product the row is about
+      let product = null;
+
+      if (sku) {
+        const claimedBy = claimedSkus.get(sku);
+        product = claimedBy ? touched.get(claimedBy) : null;
+        if (!product) {
+          const found = await Product.findOne({ 'variants.sku': sku });
+          product = found && remember(found);
+        }
+      }
+
+      if (!product && fields.name) {
+        product = [...touched.values()].find((entry) => entry.name.toLowerCase() === fields.name.toLowerCase());
+        if (!product) {
+          const found = await Product.findOne({ name: new RegExp(`^${escapeRegex(fields.name)}$`, 'i') });
+          product = found && remember(found);
+        }
+      }
+
+      if (!product && !fields.name) {
+        errors.name = sku ? 'No product has this SKU; add a name to create one' : 'Please add a product name or SKU';
+      }
+
+      if (!sku && product && product.variants.length > 0) {
+        errors.sku = 'This product has variants; add a sku to update one of them';
+      }
+
+      if (Object.keys(errors).length > 0) {
+        throw new HttpError(400, 'Invalid row', errors);
+      }
+
+      result.action = product ? 'updated' : 'created';
+      product = product || new Product();
+
+      // Keep a copy so a row that fails leaves the product as it was
+      const before = result.action === 'updated' ? product.toObject() : null;
+
+      product.set(fields);
+
+      if (sku) {
+        let variant = product.variants.find((entry) => entry.sku === sku);
+        if (!variant) {
+          product.variants.push({ sku, label: variantFields.label || sku });
+          variant = product.variants[product.variants.length - 1];
+        }
+        variant.set(variantFields);
+      } else {
+        if (variantFields.price !== undefined) {
+          product.price = variantFields.price;
+        }
+        if (variantFields.stock !== undefined) {
+          product.stock = variantFields.stock;
+          product.inStock = variantFields.stock > 0;
+        }
+        if (variantFields.weight) {
+          product.weight = variantFields.weight;
+        }
+      }
+
+      try {
+        // A SKU may already belong to another product
+        const skus = product.variants.map((variant) => variant.sku);
+        const taken = await Product.findOne({ _id: { $ne: product._id }, 'variants.sku': { $in: skus } }).select('name');
+        const takenHere = skus.find((entry) => claimedSkus.has(entry) && claimedSkus.get(entry) !== product._id.toString());
+        if (taken || takenHere) {
+          throw new HttpError(400, 'Invalid row', { sku: `SKU is already used by ${taken ? taken.name : 'another row'}` });
+        }
+
+        if (dryRun) {
+          await product.validate();
+        } else {
+          await product.save();
+        }
+      } catch (error) {
+        if (before) {
+          product.overwrite(before);
+        }
+        throw error;
+      }
+
+      remember(product);
+      product.variants.forEach((variant) => claimedSkus.set(variant.sku, product._id.toString()));
+
+      result.product = product._id;
+      result.name = product.name;
+    } catch (error) {
+      result.action = 'failed';
+      if (error instanceof HttpError) {
+        result.errors = error.details;
+      } else if (error.name === 'ValidationError') {
+        result.errors = validationErrors(error);
+      } else {
+        result.errors = { row: error.message };
+      }
+    }
+
+    results.push(result);
+  }
+
+  const count = (action) => results.filter((result) => result.action === action).length;
+
+  return {
+    dryRun,
+    created: count('created'),
+    updated: count('updated'),
+    failed: count('failed'),
+    rows: results
+  };
+};
+
+// Rows describing a product: one per variant, or one for the product
+const exportRows = (product) => {
+  const base = {
+    name: product.name,
+    description: product.description,
+    category: product.category,
+    unit: product.unit,
+    brand: product.brand,
+    origin: product.origin,
+    featured: product.featured,
+    images: (product.images || []).map((image) => image.url).join(IMAGE_SEPARATOR)
+  };
+
+  const rowFor = (item, extra) => ({
+    sku: '',
+    variantLabel: '',
+    ...base,
+    ...extra,
+    price: item.price,
+    stock: item.stock,
+    weightValue: item.weight ? item.weight.value : undefined,
+    weightUnit: item.weight ? item.weight.unit : undefined
+  });
+
+  if (!product.variants || product.variants.length === 0) {
+    return [rowFor(product, {})];
+  }
+
+  return product.variants.map((variant) => rowFor(variant, { sku: variant.sku, variantLabel: variant.label }));
+};
+
+// Write the whole catalogue to `res` in the import format, one product
+// at a time, so large catalogues never sit in memory. pipeline() waits
+// for a slow reader to catch up and stops reading (closing the cursor)
+// if the client goes away.
+exports.streamExport = async (res, format) => {
+  const cursor = Product.find().sort('name').lean().cursor();
+
+  async function* lines() {
+    try {
+      let first = true;
+
+      yield format === 'json' ? '[' : toCsvLine(COLUMNS);
+
+      for await (const product of cursor) {
+        for (const row of exportRows(product)) {
+          yield format === 'json'
+            ? `${first ? '\n' : ',\n'}${JSON.stringify(row)}`
+            : toCsvLine(COLUMNS.map((column) => row[column]));
+          first = false;
+        }
+      }
+
+      if (format === 'json') {
+        yield first ? ']' : '\n]';
+      }
+    } finally {
+      await cursor.close();
+    }
+  }
+
+  await pipeline(lines, res);
+};
+
+exports.COLUMNS = COLUMNS;
@@ -0,0 +1,235 @@
+const Product = require('../models/Product');
+const HttpError = require('../utils/HttpError');
+const { escapeRegex } = require('../utils/regex');
+const { categoryAndDescendantSlugs } = require('./categoryService');
+
+// Sort orders the catalogue accepts; `relevance` needs a search term
+const SORTS = {
+  newest: { createdAt: -1 },
+  'price-asc': { _priceMin: 1 },
+  'price-desc': { _priceMax: -1 },
+  name: { name: 1 },
+  rating: { 'rating.average': -1, 'rating.count': -1 },
+  relevance: { _score: -1 }
+};
+
+// Star thresholds offered as "N stars & up"
+const RATING_THRESHOLDS = [4, 3, 2, 1];
+
+// Most suggestions a typeahead request returns
+const MAX_SUGGESTIONS = 20;
+
+// Most products one page of results may hold
+const MAX_PAGE_SIZE = 100;
+
+// Multi-select params arrive as ?brand=a&brand=b or ?brand=a,b
+const parseList = (value) => {
+  if (value === undefined) {
+    return [];
+  }
+  return (Array.isArray(value) ? value : [value])
+    .flatMap((entry) => String(entry).split(','))
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+};
+
+const parseNumber = (value, name) => {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new HttpError(400, `${name} must be a non-negative number`);
+  }
+  return number;
+};
+
+// Turn query params into the filters a search applies. Filters shoppers
+// pick from facets are kept apart so each facet can be counted without
+// its own selection (choosing one brand still shows the other brands).
+const buildFilters = async (params) => {
+  const base = {};
+  const facets = {};
+
+  // Search by name or description
+  if (params.search) {
+    base.$text = { $search: String(params.search) };
+  }
+
+  // Filter by stock availability
+  if (params.inStock) {
+    base.inStock = params.inStock === 'true';
+  }
+
+  // Filter by featured
+  if (params.featured) {
+    base.featured = params.featured === 'true';
+  }
+
+  // A category includes its subcategories, as on /category/:category
+  const categories = parseList(params.category).map((slug) => slug.toLowerCase());
+  if (categories.length > 0) {
+    const slugs = await Promise.all(categories.map(categoryAndDescendantSlugs));
+    facets.category = { category: { $in: [...new Set(slugs.flat())] } };
+  }
+
+  const brands = parseList(params.brand);
+  if (brands.length > 0) {
+    facets.brand = { brand: { $in: brands } };
+  }
+
+  const origins = parseList(params.origin);
+  if (origins.length > 0) {
+    facets.origin = { origin: { $in: origins } };
+  }
+
+  // A product matches when any of its variant prices falls in the range
+  const minPrice = parseNumber(params.minPrice, 'minPrice');
+  const maxPrice = parseNumber(params.maxPrice, 'maxPrice');
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    facets.price = {};
+    if (minPrice !== undefined) {
+      facets.price._priceMax = { $gte: minPrice };
+    }
+    if (maxPrice !== undefined) {
+      facets.price._priceMin = { $lte: maxPrice };
+    }
+  }
+
+  const minRating = parseNumber(params.minRating, 'minRating');
+  if (minRating !== undefined) {
+    facets.rating = { 'rating.average': { $gte: minRating } };
+  }
+
+  return { base, facets };
+};
+
+// Every facet filter except the one named
+const facetMatch = (facets, except) => ({
+  $match: Object.entries(facets)
+    .filter(([name]) => name !== except)
+    .reduce((match, [, filter]) => Object.assign(match, filter), {})
+});
+
+const countBy = (facets, name, field) => [
+  facetMatch(facets, name),
+  { $match: { [field]: { $nin: [null, ''] } } },
+  { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } },
+  { $project: { _id: 0, value: '$_id', count: 1 } }
+];
+
+// Search the catalogue, returning one page of products (as documents),
+// the total match count and facet counts for brand, origin, category,
+// rating and price. Out of range `page` and `limit` values are clamped,
+// and the ones used are returned.
+exports.searchProducts = async (params, { page: requestedPage, limit: requestedLimit }) => {
+  const page = Math.max(Number.isSafeInteger(requestedPage) ? requestedPage : 1, 1);
+  const limit = Math.min(Math.max(Number.isSafeInteger(requestedLimit) ? requestedLimit : 10, 1), MAX_PAGE_SIZE);
+
+  const { base, facets } = await buildFilters(params);
+
+  const sortKey = params.sort || (base.$text ? 'relevance' : 'newest');
+  if (!SORTS[sortKey]) {
+    throw new HttpError(400, `Sort must be one of: ${Object.keys(SORTS).join(', ')}`);
+  }
+  if (sortKey === 'relevance' && !base.$text) {
+    throw new HttpError(400, 'Sorting by relevance needs a search term');
+  }
+
+  // Products saved before price ranges existed only have a single price
+  const fields = {
+    _priceMin: { $ifNull: ['$priceRange.min', '$price'] },
+    _priceMax: { $ifNull: ['$priceRange.max', '$price'] }
+  };
+  if (base.$text) {
+    fields._score = { $meta: 'textScore' };
+  }
+
+  // $text has to be matched first, so the facets run off that stage
+  const [result] = await Product.aggregate([
+    { $match: base },
+    { $addFields: fields },
+    {
+      $facet: {
+        results: [
+          facetMatch(facets),
+          { $sort: { ...SORTS[sortKey], _id: 1 } },
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          { $project: { _priceMin: 0, _priceMax: 0, _score: 0 } }
+        ],
+        total: [facetMatch(facets), { $count: 'count' }],
+        brands: countBy(facets, 'brand', 'brand'),
+        origins: countBy(facets, 'origin', 'origin'),
+        categories: countBy(facets, 'category', 'category'),
+        ratings: [
+          facetMatch(facets, 'rating'),
+          {
+            $group: RATING_THRESHOLDS.reduce((group, stars) => Object.assign(group, {
+              [`stars${stars}`]: { $sum: { $cond: [{ $gte: ['$rating.average', stars] }, 1, 0] } }
+            }), { _id: null })
+          }
+        ],
+        price: [
+          facetMatch(facets, 'price'),
+          { $group: { _id: null, min: { $min: '$_priceMin' }, max: { $max: '$_priceMax' } } }
+        ]
+      }
+    }
+  ]);
+
+  const ratings = result.ratings[0] || {};
+  const price = result.price[0];
+
+  return {
+    products: result.results.map((doc) => Product.hydrate(doc)),
+    page,
+    limit,
+    total: result.total[0] ? result.total[0].count : 0,
+    facets: {
+      brands: result.brands,
+      origins: result.origins,
+      categories: result.categories,
+      ratings: RATING_THRESHOLDS.map((stars) => ({ minRating: stars, count: ratings[`stars${stars}`] || 0 })),
+      price: price ? { min: price.min, max: price.max } : { min: null, max: null }
+    }
+  };
+};
+
+// Typeahead: products whose name has a word starting with the term, and
+// brands starting with it
+exports.suggestProducts = async (term, limit) => {
+  const text = String(term || '').trim();
+  if (text.length < 2) {
+    return { products: [], brands: [] };
+  }
+
+  const size = Math.min(Math.max(limit || 8, 1), MAX_SUGGESTIONS);
+  const escaped = escapeRegex(text);
+
+  const [products, brands] = await Promise.all([
+    Product.find({ name: new RegExp(`(^|\\s)${escaped}`, 'i') })
+      .select('name brand price priceRange images')
+      .sort('-rating.count name')
+      .limit(size)
+      .lean(),
+    Product.aggregate([
+      { $match: { brand: new RegExp(`^${escaped}`, 'i') } },
+      { $group: { _id: '$brand', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: size }
+    ])
+  ]);
+
+  return {
+    products: products.map((product) => ({
+      _id: product._id,
+      name: product.name,
+      brand: product.brand,
+      price: product.priceRange && product.priceRange.min != null ? product.priceRange.min : product.price,
+      image: product.images && product.images.length > 0 ? product.images[0].url : ''
+    })),
+    brands: brands.map((entry) => entry._id)
+  };
+};
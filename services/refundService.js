@@ -0,0 +1,347 @@
+const stripe = require('../config/stripe');
+const Order = require('../models/Order');
+const { restock, releaseOrderStock } = require('./stockService');
+const { releaseCouponUse } = require('./couponService');
+const HttpError = require('../utils/HttpError');
+const { roundMoney, toCents } = require('../utils/money');
+const { hashToken } = require('../utils/tokens');
+
+// Tag on refunds we create, so the webhook doesn't record them twice
+const REFUND_SOURCE = 'femty-api';
+
+// Sums of cent amounts can drift past a limit by a hair of floating point
+const MONEY_TOLERANCE = 0.001;
+
+// Money still available to refund on an order
+const remainingRefundable = (order) => roundMoney(order.totalPrice - (order.refundedAmount || 0));
+
+const assertRefundable = (order) => {
+  if (!order.isPaid) {
+    throw new HttpError(400, 'Order has not been paid');
+  }
+
+  if (order.paymentMethod !== 'stripe' || !order.paymentResult || !order.paymentResult.id) {
+    throw new HttpError(400, 'This order was not paid through Stripe and must be refunded manually');
+  }
+
+  if (remainingRefundable(order) <= 0) {
+    throw new HttpError(409, 'Order has already been fully refunded');
+  }
+};
+
+// Match requested { itemId, quantity } pairs against the order's items
+const resolveRefundLines = (order, items) => items.map((requested) => {
+  const id = (requested.itemId || requested.product || '').toString();
+  const item = order.orderItems.find((orderItem) =>
+    orderItem._id.toString() === id || (orderItem.product && orderItem.product.toString() === id)
+  );
+
+  if (!item) {
+    throw new HttpError(404, `Order item ${id} not found`);
+  }
+
+  const refundable = item.quantity - (item.refundedQuantity || 0);
+  const quantity = requested.quantity === undefined ? refundable : Number(requested.quantity);
+
+  if (!Number.isInteger(quantity) || quantity < 1 || quantity > refundable) {
+    throw new HttpError(400, `Refund quantity for ${item.name} must be between 1 and ${refundable}`);
+  }
+
+  return { item, quantity };
+});
+
+// What the customer actually paid for `quantity` units of an item,
+// after its share of any coupon discount and including its tax
+const lineRefundAmount = (item, quantity) =>
+  (item.price * item.quantity - (item.discount || 0) + (item.tax || 0)) * quantity / item.quantity;
+
+// Every line with quantity not yet refunded
+const allRemainingLines = (order) => order.orderItems
+  .map((item) => ({ item, quantity: item.quantity - (item.refundedQuantity || 0) }))
+  .filter((line) => line.quantity > 0);
+
+// Refund a paid Stripe order in full, or only the given items.
+// Refunded quantities go back on the shelf unless `restockItems` is false.
+exports.issueRefund = async (order, { items, reason, note, actor, apiKey, restockItems = true } = {}) => {
+  assertRefundable(order);
+
+  const remaining = remainingRefundable(order);
+  const partial = Array.isArray(items) && items.length > 0;
+  const lines = partial ? resolveRefundLines(order, items) : allRemainingLines(order);
+
+  const amount = partial
+    ? Math.min(roundMoney(lines.reduce((sum, line) => sum + lineRefundAmount(line.item, line.quantity), 0)), remaining)
+    : remaining;
+
+  const refundedByItem = new Map();
+  lines.forEach((line) => {
+    const id = line.item._id.toString();
+    const entry = refundedByItem.get(id) || { item: line.item, quantity: 0 };
+    entry.quantity += line.quantity;
+    refundedByItem.set(id, entry);
+  });
+
+  // Claim the amount and quantities in one conditional update before
+  // Stripe is called. Two refunds racing for the same items can't both
+  // pass, and a charge.refunded webhook or stock release running
+  // meanwhile already sees these lines as refunded.
+  const filter = {
+    _id: order._id,
+    refundedAmount: { $lte: roundMoney(order.totalPrice - amount) + MONEY_TOLERANCE }
+  };
+  const increments = { refundedAmount: amount };
+  const arrayFilters = [];
+  const itemConditions = [];
+  [...refundedByItem.values()].forEach(({ item, quantity }, index) => {
+    // $not also matches orders from before refundedQuantity existed
+    itemConditions.push({
+      orderItems: { $elemMatch: { _id: item._id, refundedQuantity: { $not: { $gt: item.quantity - quantity } } } }
+    });
+    increments[`orderItems.$[item${index}].refundedQuantity`] = quantity;
+    arrayFilters.push({ [`item${index}._id`]: item._id });
+  });
+  if (itemConditions.length > 0) {
+    filter.$and = itemConditions;
+  }
+
+  const claimed = await Order.findOneAndUpdate(filter, { $inc: increments }, { new: true, arrayFilters });
+
+  if (!claimed) {
+    throw new HttpError(409, 'The order was refunded by another request. Reload it and try again');
+  }
+
+  const refundParams = {
+    payment_intent: order.paymentResult.id,
+    amount: toCents(amount),
+    metadata: {
+      orderId: order._id.toString(),
+      source: REFUND_SOURCE,
+      reason: reason || ''
+    }
+  };
+
+  if (reason === 'requested_by_customer') {
+    refundParams.reason = reason;
+  }
+
+  // Each claim leaves the order with different refunded totals, so this
+  // names exactly one refund however often the call is retried
+  const idempotencyKey = `refund-${order._id}-${hashToken([
+    toCents(claimed.refundedAmount),
+    ...[...refundedByItem.values()].map(({ item }) => `${item._id}:${claimed.orderItems.id(item._id).refundedQuantity}`)
+  ].join('|'))}`;
+
+  let refund;
+  try {
+    refund = await stripe.refunds.create(refundParams, { idempotencyKey });
+  } catch (error) {
+    const decrements = Object.fromEntries(Object.entries(increments).map(([path, value]) => [path, -value]));
+    const reverted = await Order.findOneAndUpdate(
+      { _id: order._id },
+      { $inc: decrements },
+      { new: true, arrayFilters }
+    );
+
+    // A release that ran while the claim stood skipped these lines as
+    // refunded, so their stock is ours to give back
+    if (claimed.stockReserved && reverted && !reverted.stockReserved) {
+      await restock(lines.map((line) => ({
+        product: line.item.product,
+        variant: line.item.variant,
+        quantity: line.quantity
+      })));
+    }
+    throw error;
+  }
+
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id },
+    {
+      $push: {
+        refunds: {
+          stripeRefundId: refund.id,
+          amount,
+          items: lines.map((line) => ({
+            orderItem: line.item._id,
+            product: line.item.product,
+            variant: line.item.variant,
+            quantity: line.quantity
+          })),
+          reason,
+          status: refund.status,
+          actor,
+          apiKey
+        }
+      }
+    },
+    { new: true }
+  );
+
+  // Only orders still holding stock when the claim was made can give it
+  // back; a release after the claim leaves these lines to us
+  if (restockItems && claimed.stockReserved) {
+    await restock(lines.map((line) => ({
+      product: line.item.product,
+      variant: line.item.variant,
+      quantity: line.quantity
+    })));
+  }
+
+  // A fully refunded order that hasn't shipped is effectively cancelled
+  if (remainingRefundable(updated) <= 0 && updated.canTransitionTo('cancelled')) {
+    const cancelled = await claimCancellation(updated, {}, {
+      actor,
+      apiKey,
+      note: note || reason || 'Order fully refunded'
+    });
+    return { order: cancelled || await Order.findById(order._id), refund };
+  }
+
+  return { order: updated, refund };
+};
+
+// Cancel an order in one conditional update, only while it still has the
+// status it was read with and matches `conditions`; then give back its
+// stock and coupon use. Returns the cancelled order, or null if the order
+// changed in the meantime.
+const claimCancellation = async (order, conditions, { actor, apiKey, note } = {}) => {
+  const cancelled = await Order.findOneAndUpdate(
+    { _id: order._id, status: order.status, ...conditions },
+    {
+      $set: { status: 'cancelled' },
+      $push: { statusHistory: { from: order.status, to: 'cancelled', actor, apiKey, note } }
+    },
+    { new: true }
+  );
+
+  if (cancelled) {
+    await releaseOrderStock(cancelled);
+    await releaseCouponUse(cancelled.coupon && cancelled.coupon.coupon);
+  }
+
+  return cancelled;
+};
+
+// Give back a payment that can't be applied to its order (e.g. Stripe
+// charged a different amount). Webhook and /verify-session may both get
+// here for the same payment; the idempotency key makes the second call
+// return the first refund instead of failing.
+exports.refundUnappliedPayment = (paymentIntentId, { orderId, reason, idempotencyKey }) =>
+  stripe.refunds.create({
+    payment_intent: paymentIntentId,
+    metadata: {
+      orderId: orderId.toString(),
+      source: REFUND_SOURCE,
+      reason
+    }
+  }, { idempotencyKey });
+
+// Cancel an order before it ships, refunding it first if it was paid
+exports.cancelAndRefund = async (order, { actor, apiKey, note } = {}) => {
+  if (!order.canTransitionTo('cancelled')) {
+    throw new HttpError(409, `Orders can only be cancelled before they ship. This order is ${order.status}`);
+  }
+
+  if (order.isPaid && remainingRefundable(order) > 0) {
+    const { order: refunded } = await exports.issueRefund(order, {
+      reason: 'requested_by_customer',
+      note: note || 'Cancelled by customer',
+      actor,
+      apiKey
+    });
+    return refunded;
+  }
+
+  // Unpaid orders are only cancelled while still unpaid. If a payment (or
+  // another change) lands after `order` was read, start over from the
+  // current order, which takes the refund path once it is paid.
+  const cancelled = await claimCancellation(order, order.isPaid ? {} : { isPaid: false }, { actor, apiKey, note });
+  if (cancelled) {
+    return cancelled;
+  }
+
+  const current = await Order.findById(order._id);
+  if (!current) {
+    throw new HttpError(404, 'Order not found');
+  }
+  return exports.cancelAndRefund(current, { actor, apiKey, note });
+};
+
+// Record refunds made outside the API (e.g. from the Stripe dashboard)
+// when a `charge.refunded` event arrives. Every write is a conditional
+// update rather than a save, so an issueRefund running alongside (or a
+// second delivery of the event) is neither overwritten nor counted twice.
+exports.syncChargeRefunds = async (charge) => {
+  if (!charge.payment_intent) {
+    return null;
+  }
+
+  const order = await Order.findOne({ 'paymentResult.id': charge.payment_intent });
+
+  if (!order) {
+    return null;
+  }
+
+  const refunds = await stripe.refunds.list({ payment_intent: charge.payment_intent, limit: 100 });
+
+  for (const refund of refunds.data) {
+    const recorded = await Order.updateOne(
+      { _id: order._id, 'refunds.stripeRefundId': refund.id },
+      { $set: { 'refunds.$.status': refund.status } }
+    );
+
+    if (recorded.matchedCount > 0) {
+      continue;
+    }
+
+    // Our own refunds are recorded by issueRefund
+    if (refund.metadata && refund.metadata.source === REFUND_SOURCE) {
+      continue;
+    }
+
+    if (refund.status === 'failed' || refund.status === 'canceled') {
+      continue;
+    }
+
+    await Order.updateOne(
+      { _id: order._id, 'refunds.stripeRefundId': { $ne: refund.id } },
+      {
+        $push: {
+          refunds: {
+            stripeRefundId: refund.id,
+            amount: refund.amount / 100,
+            reason: refund.reason || 'Refunded in Stripe',
+            status: refund.status
+          }
+        },
+        $inc: { refundedAmount: refund.amount / 100 }
+      }
+    );
+  }
+
+  const current = await Order.findById(order._id);
+
+  // Fully refunded before shipping - cancel and put everything back
+  if (charge.refunded && current.canTransitionTo('cancelled')) {
+    const cancelled = await claimCancellation(current, {}, { note: 'Payment fully refunded in Stripe' });
+
+    // Every line counts as refunded now. $max leaves lines a concurrent
+    // issueRefund has already counted as they are.
+    if (cancelled) {
+      const arrayFilters = [];
+      const refundedQuantities = {};
+      cancelled.orderItems.forEach((item, index) => {
+        refundedQuantities[`orderItems.$[item${index}].refundedQuantity`] = item.quantity;
+        arrayFilters.push({ [`item${index}._id`]: item._id });
+      });
+
+      return Order.findOneAndUpdate(
+        { _id: order._id },
+        { $max: refundedQuantities },
+        { new: true, arrayFilters }
+      );
+    }
+  }
+
+  return current;
+};
@@ -0,0 +1,130 @@
+const Session = require('../models/Session');
+const User = require('../models/User');
+const HttpError = require('../utils/HttpError');
+const { createOpaqueToken, hashToken } = require('../utils/tokens');
+const { generateToken } = require('../middleware/auth');
+
+// How long a session survives without being refreshed
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Device details shown when the user lists their sessions
+const clientInfo = (req) => ({
+  userAgent: req ? String(req.headers['user-agent'] || '').slice(0, 300) : undefined,
+  ip: req ? req.ip : undefined
+});
+
+// Start a new session for a login and hand out its first pair of tokens
+exports.startSession = async (user, req) => {
+  const { token: refreshToken, hash } = createOpaqueToken();
+
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hash,
+    expiresAt: refreshExpiry(),
+    ...clientInfo(req)
+  });
+
+  return {
+    session,
+    token: generateToken(user._id, session._id),
+    refreshToken
+  };
+};
+
+// Swap a refresh token for a new pair. Each refresh token works once; if
+// an already-used one comes back, someone else has a copy, so the whole
+// session is revoked.
+exports.refreshSession = async (refreshToken, req) => {
+  if (!refreshToken) {
+    throw new HttpError(400, 'Refresh token required');
+  }
+
+  const presentedHash = hashToken(refreshToken);
+  const { token: nextToken, hash: nextHash } = createOpaqueToken();
+  const now = new Date();
+
+  // Claim the token atomically so two refreshes can't both succeed
+  const session = await Session.findOneAndUpdate(
+    { tokenHash: presentedHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        tokenHash: nextHash,
+        lastUsedAt: now,
+        expiresAt: refreshExpiry(),
+        ...clientInfo(req)
+      },
+      $push: { previousTokenHashes: presentedHash }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const reused = await Session.findOneAndUpdate(
+      { previousTokenHashes: presentedHash, revokedAt: null },
+      { $set: { revokedAt: now, revokedReason: 'reuse_detected' } }
+    );
+
+    if (reused) {
+      console.warn(`Refresh token reuse detected for session ${reused._id}; session revoked`);
+    }
+
+    throw new HttpError(401, 'Session expired. Please login again.');
+  }
+
+  const user = await User.findById(session.user);
+
+  if (!user || !user.isActive) {
+    session.revokedAt = now;
+    session.revokedReason = 'revoked';
+    await session.save();
+    throw new HttpError(401, 'Session expired. Please login again.');
+  }
+
+  return {
+    session,
+    user,
+    token: generateToken(user._id, session._id),
+    refreshToken: nextToken
+  };
+};
+
+// End the session a refresh token belongs to. Unknown tokens are ignored
+// so logging out twice is harmless.
+exports.endSession = async (refreshToken) => {
+  if (!refreshToken) {
+    return null;
+  }
+
+  return Session.findOneAndUpdate(
+    { tokenHash: hashToken(refreshToken), revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: 'logout' } },
+    { new: true }
+  );
+};
+
+// Revoke one of a user's sessions by id
+exports.revokeSession = async (userId, sessionId, reason = 'revoked') => {
+  return Session.findOneAndUpdate(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } },
+    { new: true }
+  );
+};
+
+// Revoke every session a user has, e.g. after a password reset
+exports.revokeUserSessions = async (userId, reason = 'revoked') => {
+  const result = await Session.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount;
+};
+
+// Sessions that can still be refreshed, most recently used first
+exports.listActiveSessions = async (userId) => {
+  return Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .select('userAgent ip lastUsedAt expiresAt createdAt')
+    .sort({ lastUsedAt: -1 });
+};
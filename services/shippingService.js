@@ -0,0 +1,89 @@
+const ShippingZone = require('../models/ShippingZone');
+const HttpError = require('../utils/HttpError');
+const { normalizeState } = require('../utils/usStates');
+const { roundMoney } = require('../utils/money');
+
+// Used until an admin sets up the first shipping zone
+const FALLBACK_ZONE = {
+  name: 'Standard Delivery',
+  flatFee: Number(process.env.DELIVERY_FEE ?? 5),
+  weightSurcharges: [],
+  estimatedDays: { min: 3, max: 5 }
+};
+
+const KG_PER_UNIT = {
+  kg: 1,
+  g: 0.001,
+  lb: 0.45359237,
+  oz: 0.028349523
+};
+
+// Convert a Product.weight ({ value, unit }) to kilograms
+exports.toKilograms = (weight) => {
+  if (!weight || !weight.value) {
+    return 0;
+  }
+  const factor = KG_PER_UNIT[String(weight.unit || 'kg').toLowerCase()] || 1;
+  return weight.value * factor;
+};
+
+// Pick the zone for an address: a zip prefix match beats a state match,
+// which beats the default zone
+exports.findZone = async (shippingAddress = {}) => {
+  const zones = await ShippingZone.find({ isActive: true });
+
+  if (zones.length === 0) {
+    return FALLBACK_ZONE;
+  }
+
+  const state = normalizeState(shippingAddress.state);
+  const zipCode = String(shippingAddress.zipCode || '').trim();
+
+  let best = null;
+  let bestPrefix = -1;
+  for (const zone of zones) {
+    for (const prefix of zone.zipPrefixes) {
+      if (prefix && zipCode.startsWith(prefix) && prefix.length > bestPrefix) {
+        best = zone;
+        bestPrefix = prefix.length;
+      }
+    }
+  }
+
+  return best
+    || zones.find((zone) => state && zone.states.includes(state))
+    || zones.find((zone) => zone.isDefault)
+    || null;
+};
+
+// Delivery fee and window for a priced cart. The free-delivery threshold
+// waives the flat fee only; heavy orders still pay their weight surcharge.
+exports.quoteShipping = async (lines, shippingAddress, subtotal) => {
+  const zone = await exports.findZone(shippingAddress);
+
+  if (!zone) {
+    throw new HttpError(400, 'Sorry, we do not deliver to this address yet');
+  }
+
+  const weightKg = lines.reduce((sum, line) => sum + (line.weightKg || 0) * line.quantity, 0);
+
+  const flatFee = zone.freeDeliveryThreshold != null && subtotal >= zone.freeDeliveryThreshold
+    ? 0
+    : zone.flatFee;
+
+  // Highest tier the cart's weight reaches
+  const surcharge = [...zone.weightSurcharges]
+    .sort((a, b) => b.minWeightKg - a.minWeightKg)
+    .find((tier) => weightKg >= tier.minWeightKg);
+
+  return {
+    shippingPrice: roundMoney(flatFee + (surcharge ? surcharge.fee : 0)),
+    zone: zone.name,
+    weightKg: roundMoney(weightKg),
+    freeDeliveryThreshold: zone.freeDeliveryThreshold,
+    estimatedDays: {
+      min: zone.estimatedDays.min,
+      max: zone.estimatedDays.max
+    }
+  };
+};
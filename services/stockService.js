@@ -0,0 +1,206 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const HttpError = require('../utils/HttpError');
+
+// Orders paid offline can legitimately stay unpaid for days
+const OFFLINE_PAYMENT_METHODS = ['cash_on_delivery', 'bank_transfer'];
+
+// How long an unpaid online order may hold stock before it is released
+const UNPAID_ORDER_TTL_MINUTES = Number(process.env.UNPAID_ORDER_TTL_MINUTES || 60);
+
+// How often the sweeper looks for stale reservations
+const SWEEP_INTERVAL_MINUTES = Number(process.env.RESERVATION_SWEEP_MINUTES || 5);
+
+// Change one variant's stock by `delta`, recomputing the product's total
+// stock and `inStock` from all its variants in the same atomic update.
+// When taking stock, the filter guarantees the variant never goes below zero.
+const adjustVariantStock = (productId, variantId, delta) => {
+  const variantObjectId = new mongoose.Types.ObjectId(String(variantId));
+  const match = { _id: variantObjectId };
+  if (delta < 0) {
+    match.stock = { $gte: -delta };
+  }
+
+  return Product.findOneAndUpdate(
+    { _id: productId, variants: { $elemMatch: match } },
+    [
+      {
+        $set: {
+          variants: {
+            $map: {
+              input: '$variants',
+              in: {
+                $cond: [
+                  { $eq: ['$$this._id', variantObjectId] },
+                  { $mergeObjects: ['$$this', { stock: { $add: ['$$this.stock', delta] } }] },
+                  '$$this'
+                ]
+              }
+            }
+          }
+        }
+      },
+      {
+        $set: {
+          stock: { $sum: '$variants.stock' },
+          inStock: { $gt: [{ $sum: '$variants.stock' }, 0] }
+        }
+      }
+    ],
+    { new: true, updatePipeline: true }
+  );
+};
+
+// Change stock by `delta` and keep `inStock` in sync in the same update.
+// When taking stock, the filter guarantees we never go below zero.
+const adjustStock = (productId, delta, variantId) => {
+  if (variantId) {
+    return adjustVariantStock(productId, variantId, delta);
+  }
+
+  const filter = { _id: productId };
+  if (delta < 0) {
+    filter.stock = { $gte: -delta };
+  }
+
+  return Product.findOneAndUpdate(
+    filter,
+    [{
+      $set: {
+        stock: { $add: ['$stock', delta] },
+        inStock: { $gt: [{ $add: ['$stock', delta] }, 0] }
+      }
+    }],
+    { new: true, updatePipeline: true }
+  );
+};
+
+// Atomically take stock for every line. If any line can't be filled,
+// everything already taken is put back and the whole reservation fails.
+exports.reserveStock = async (items) => {
+  for (const item of items) {
+    if (!item.product || !mongoose.isValidObjectId(item.product)) {
+      throw new HttpError(400, 'Each item must include a valid product id');
+    }
+
+    if (item.variant && !mongoose.isValidObjectId(item.variant)) {
+      throw new HttpError(400, 'Variant id is not valid');
+    }
+
+    if (!Number.isInteger(Number(item.quantity)) || Number(item.quantity) < 1) {
+      throw new HttpError(400, 'Each item must include a quantity of at least 1');
+    }
+  }
+
+  const reserved = [];
+
+  for (const item of items) {
+    const quantity = Number(item.quantity);
+    const product = await adjustStock(item.product, -quantity, item.variant);
+
+    if (!product) {
+      await exports.restock(reserved);
+
+      const current = await Product.findById(item.product).select('name stock variants');
+      const variant = current && item.variant ? current.resolveVariant(item.variant) : null;
+      if (!current || variant === undefined) {
+        throw new HttpError(404, `Product ${item.name || item.product} not found`);
+      }
+      const details = current.purchaseDetails(variant);
+      throw new HttpError(400, `Not enough stock for ${details.name}. Only ${details.stock} available`, {
+        product: current._id,
+        variant: details.variant,
+        available: details.stock
+      });
+    }
+
+    reserved.push({ product: item.product, variant: item.variant, quantity });
+  }
+};
+
+// Put quantities back on the shelf
+exports.restock = async (items) => {
+  for (const item of items) {
+    if (item.product && item.quantity > 0) {
+      await adjustStock(item.product, item.quantity, item.variant);
+    }
+  }
+};
+
+// Whether the order is paid outside the app (on delivery, by transfer)
+exports.isOfflinePayment = (paymentMethod) => OFFLINE_PAYMENT_METHODS.includes(paymentMethod);
+
+// When an unpaid order should give its stock back, or null if never
+exports.reservationExpiry = (paymentMethod, from = new Date()) => {
+  if (exports.isOfflinePayment(paymentMethod)) {
+    return null;
+  }
+  return new Date(from.getTime() + UNPAID_ORDER_TTL_MINUTES * 60 * 1000);
+};
+
+// Release an order's reservation exactly once. The flag is flipped
+// atomically first, so concurrent callers can't restock twice.
+exports.releaseOrderStock = async (order) => {
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, stockReserved: true },
+    { $set: { stockReserved: false }, $unset: { reservationExpiresAt: 1 } },
+    { new: true }
+  ).select('orderItems');
+
+  order.stockReserved = false;
+  order.reservationExpiresAt = undefined;
+
+  if (!claimed) {
+    return false;
+  }
+
+  // Quantities already refunded were restocked at refund time. They are
+  // read from the claimed document rather than `order`, which may be a
+  // stale copy loaded before a refund was recorded.
+  await exports.restock(claimed.orderItems.map((item) => ({
+    product: item.product,
+    variant: item.variant,
+    quantity: item.quantity - (item.refundedQuantity || 0)
+  })));
+  return true;
+};
+
+// Cancel unpaid orders whose reservation has lapsed and restock them
+exports.releaseExpiredReservations = async (now = new Date()) => {
+  const orders = await Order.find({
+    isPaid: false,
+    status: 'pending',
+    stockReserved: true,
+    reservationExpiresAt: { $lte: now }
+  });
+
+  let released = 0;
+
+  for (const order of orders) {
+    if (await exports.releaseOrderStock(order)) {
+      order.transitionTo('cancelled', { note: 'Unpaid order expired' });
+      await order.save();
+      released += 1;
+    }
+  }
+
+  return released;
+};
+
+// Periodically sweep stale reservations for the lifetime of the process
+exports.startReservationSweeper = () => {
+  const timer = setInterval(async () => {
+    try {
+      const released = await exports.releaseExpiredReservations();
+      if (released > 0) {
+        console.log(`Released stock for ${released} unpaid order(s)`);
+      }
+    } catch (error) {
+      console.error('Reservation sweep error:', error);
+    }
+  }, SWEEP_INTERVAL_MINUTES * 60 * 1000);
+
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,50 @@
+const TaxRate = require('../models/TaxRate');
+const TaxCategory = require('../models/TaxCategory');
+const { normalizeState, normalizeCountry } = require('../utils/usStates');
+const { roundMoney } = require('../utils/money');
+
+// Find the most specific active rate for an address: the longest matching
+// zip prefix wins over the state-wide rate
+exports.findRate = async (shippingAddress = {}) => {
+  const state = normalizeState(shippingAddress.state);
+  const country = normalizeCountry(shippingAddress.country) || 'USA';
+  const zipCode = String(shippingAddress.zipCode || '').trim();
+
+  if (!state) {
+    return null;
+  }
+
+  const rates = await TaxRate.find({ country, state, isActive: true });
+
+  return rates
+    .filter((rate) => !rate.zipPrefix || zipCode.startsWith(rate.zipPrefix))
+    .sort((a, b) => b.zipPrefix.length - a.zipPrefix.length)[0] || null;
+};
+
+// Which of the given categories are taxable; unlisted categories are
+// taxable, so only an explicit exemption makes a category tax free
+exports.taxableCategories = async (categories) => {
+  const exemptions = await TaxCategory.find({ category: { $in: categories }, taxable: false });
+  const exempt = new Set(exemptions.map((entry) => entry.category));
+
+  return new Set(categories.filter((category) => !exempt.has(category)));
+};
+
+// Tax each line on its discounted amount. Mutates `lines`, setting
+// `taxable`, `taxRate` and `tax` on each.
+exports.calculateTax = async (lines, shippingAddress) => {
+  const rate = await exports.findRate(shippingAddress);
+  const taxable = await exports.taxableCategories([...new Set(lines.map((line) => line.category))]);
+
+  lines.forEach((line) => {
+    line.taxable = taxable.has(line.category);
+    line.taxRate = rate && line.taxable ? rate.rate : 0;
+    line.tax = roundMoney((line.lineTotal - (line.discount || 0)) * line.taxRate / 100);
+  });
+
+  return {
+    taxPrice: roundMoney(lines.reduce((sum, line) => sum + line.tax, 0)),
+    jurisdiction: rate ? rate.name : null,
+    rate: rate ? rate.rate : 0
+  };
+};
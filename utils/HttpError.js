@@ -0,0 +1,12 @@
+// Error carrying an HTTP status code, so services can reject with the
+// right response and controllers can pass it straight through.
+class HttpError extends Error {
+  constructor(statusCode, message, details) {
+    super(message);
+    this.name = 'HttpError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+module.exports = HttpError;
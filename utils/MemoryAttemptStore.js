@@ -0,0 +1,63 @@
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Counter store for login throttling, kept in process memory. Any object
+// with the same async methods (e.g. one backed by Redis INCR/PEXPIRE) can
+// be plugged in through loginThrottleService.setAttemptStore().
+class MemoryAttemptStore {
+  constructor() {
+    this.entries = new Map();
+    this.lastSweepAt = Date.now();
+  }
+
+  // Current value for a key, or 0 if unset or expired
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return 0;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return 0;
+    }
+    return entry.value;
+  }
+
+  // Set a value that disappears after ttlMs
+  async set(key, value, ttlMs) {
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+  }
+
+  // Add one to a counter. The expiry starts with the first increment, so
+  // counts fall away a fixed window after the first failure.
+  async increment(key, ttlMs) {
+    const now = Date.now();
+    const entry = this.entries.get(key);
+
+    if (!entry || entry.expiresAt <= now) {
+      if (now - this.lastSweepAt > SWEEP_INTERVAL_MS) {
+        this.sweep(now);
+      }
+      this.entries.set(key, { value: 1, expiresAt: now + ttlMs });
+      return 1;
+    }
+
+    entry.value += 1;
+    return entry.value;
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  // Drop expired entries so the map doesn't grow without bound
+  sweep(now = Date.now()) {
+    this.lastSweepAt = now;
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = MemoryAttemptStore;
@@ -0,0 +1,8 @@
+// Audit trail fields for whoever made a change. API keys are not users,
+// so a key is recorded in its own field and `actor` stays a User id.
+exports.auditFields = (user) => {
+  if (!user) {
+    return {};
+  }
+  return user.isServiceAccount ? { apiKey: user._id } : { actor: user._id };
+};
@@ -0,0 +1,84 @@
+// Minimal RFC 4180 CSV: quoted fields, doubled quotes, commas and line
+// breaks inside quotes, CRLF or LF line endings
+
+// Parse CSV text into an array of objects keyed by the header row.
+// Blank lines are skipped; each row keeps the line it started on.
+exports.parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const source = String(text).replace(/^\uFEFF/, '');
+
+  const endRecord = () => {
+    record.push(field);
+    if (record.length > 1 || record[0].trim() !== '') {
+      records.push({ line: recordLine, values: record });
+    }
+    record = [];
+    field = '';
+  };
+
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') {
+          line += 1;
+        }
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') {
+        i += 1;
+      }
+      endRecord();
+      line += 1;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    endRecord();
+  }
+
+  if (records.length === 0) {
+    return [];
+  }
+
+  const headers = records[0].values.map((header) => header.trim());
+
+  return records.slice(1).map(({ line: rowLine, values }) => ({
+    line: rowLine,
+    data: headers.reduce((row, header, index) => {
+      if (header) {
+        row[header] = values[index] !== undefined ? values[index] : '';
+      }
+      return row;
+    }, {})
+  }));
+};
+
+// Format one CSV line, quoting fields that need it
+exports.toCsvLine = (values) => values
+  .map((value) => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  })
+  .join(',') + '\r\n';
@@ -0,0 +1,5 @@
+// Round to whole cents to avoid floating point drift in totals
+exports.roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Stripe works in the smallest currency unit
+exports.toCents = (amount) => Math.round(amount * 100);
@@ -0,0 +1,2 @@
+// Escape user input so it matches literally inside a RegExp
+exports.escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
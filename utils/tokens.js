@@ -0,0 +1,20 @@
+const crypto = require('crypto');
+
+// Hash an opaque token for storage; only the hash is ever saved
+exports.hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Create an unguessable random token and the hash to store for it
+exports.createOpaqueToken = (bytes = 32) => {
+  const token = crypto.randomBytes(bytes).toString('hex');
+  return { token, hash: exports.hashToken(token) };
+};
+
+// Compare a presented token against a stored hash in constant time
+exports.tokenMatches = (token, hash) => {
+  if (!token || !hash) {
+    return false;
+  }
+  const presented = Buffer.from(exports.hashToken(token), 'hex');
+  const stored = Buffer.from(hash, 'hex');
+  return presented.length === stored.length && crypto.timingSafeEqual(presented, stored);
+};
@@ -0,0 +1,30 @@
+// Full US state names to their postal codes, so "Texas" and "TX" match
+const STATE_CODES = {
+  ALABAMA: 'AL', ALASKA: 'AK', ARIZONA: 'AZ', ARKANSAS: 'AR', CALIFORNIA: 'CA',
+  COLORADO: 'CO', CONNECTICUT: 'CT', DELAWARE: 'DE', 'DISTRICT OF COLUMBIA': 'DC',
+  FLORIDA: 'FL', GEORGIA: 'GA', HAWAII: 'HI', IDAHO: 'ID', ILLINOIS: 'IL',
+  INDIANA: 'IN', IOWA: 'IA', KANSAS: 'KS', KENTUCKY: 'KY', LOUISIANA: 'LA',
+  MAINE: 'ME', MARYLAND: 'MD', MASSACHUSETTS: 'MA', MICHIGAN: 'MI', MINNESOTA: 'MN',
+  MISSISSIPPI: 'MS', MISSOURI: 'MO', MONTANA: 'MT', NEBRASKA: 'NE', NEVADA: 'NV',
+  'NEW HAMPSHIRE': 'NH', 'NEW JERSEY': 'NJ', 'NEW MEXICO': 'NM', 'NEW YORK': 'NY',
+  'NORTH CAROLINA': 'NC', 'NORTH DAKOTA': 'ND', OHIO: 'OH', OKLAHOMA: 'OK',
+  OREGON: 'OR', PENNSYLVANIA: 'PA', 'RHODE ISLAND': 'RI', 'SOUTH CAROLINA': 'SC',
+  'SOUTH DAKOTA': 'SD', TENNESSEE: 'TN', TEXAS: 'TX', UTAH: 'UT', VERMONT: 'VT',
+  VIRGINIA: 'VA', WASHINGTON: 'WA', 'WEST VIRGINIA': 'WV', WISCONSIN: 'WI', WYOMING: 'WY'
+};
+
+// Normalize a state name or code to its upper-case postal code
+exports.normalizeState = (state) => {
+  const value = String(state || '').trim().toUpperCase();
+  return STATE_CODES[value] || value;
+};
+
+// Ways shoppers write the United States, without dots or spaces
+const US_COUNTRY_NAMES = ['USA', 'US', 'UNITEDSTATES', 'UNITEDSTATESOFAMERICA', 'AMERICA'];
+
+// Normalize a country to upper case, writing every spelling of the
+// United States as "USA" so ZIP checks, tax rates and shipping zones match
+exports.normalizeCountry = (country) => {
+  const value = String(country || '').trim().toUpperCase();
+  return US_COUNTRY_NAMES.includes(value.replace(/[\s.]/g, '')) ? 'USA' : value;
+};
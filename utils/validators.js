@@ -0,0 +1,4 @@
+// Same rule the User model applies to emails
+const EMAIL_PATTERN = /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/;
+
+exports.isValidEmail = (email) => typeof email === 'string' && EMAIL_PATTERN.test(email.trim());